@@ -0,0 +1,47 @@
+let isGranulated = false;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Granulate artwork asynchronously in a Web Worker, which keeps the 
+    // page responsive while granulating large canvases
+    isGranulated = false;
+
+    // Simple method
+    const granulated = p5grain.granulateSimpleAsync(42, {
+        progress: (progress) => console.log(`Granulating: ${round(progress * 100)}%`),
+    });
+
+    // Channels method
+    // const granulated = p5grain.granulateChannelsAsync(42);
+
+    granulated
+        .then(() => {
+            isGranulated = true;
+        })
+        .catch((error) => {
+            // The result is discarded when the canvas has changed in the 
+            // meantime, e.g. when the window has been resized
+            console.log(error.message);
+        });
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame, once the artwork has been granulated
+    if (keyCode === 83 && isGranulated) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,59 @@
+let textureImage;
+let isGrainEnabled = true;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+    textureImage = p5grain.createTexture({ type: 'paper' });
+
+    // Apply grain and texture automatically after every draw
+    isGrainEnabled = true;
+    p5grain.auto({
+        stack: [
+            { method: 'granulateFilm', amount: 24 },
+            { method: 'textureOverlay', textureImage, config: { animate: true } },
+            { method: 'vignette', config: { amount: 0.3 } },
+        ],
+    });
+}
+
+function draw() {
+    // Simulate drawing artwork, without having to apply grain and texture
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+}
+
+function windowResized() {
+    setup();
+}
+
+function mousePressed() {
+    noLoop();
+}
+
+function mouseReleased() {
+    loop();
+}
+
+function keyPressed() {
+    // Press [G] to toggle grain and texture
+    if (keyCode === 71) {
+        isGrainEnabled = !isGrainEnabled;
+        p5grain.auto(isGrainEnabled);
+    }
+    // Press [S] to save frame, including grain and texture
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
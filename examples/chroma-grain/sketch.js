@@ -0,0 +1,34 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Granulate artwork with separate luminance and chroma grain
+
+    // Subtle color grain in a perceptual color space
+    p5grain.granulateChroma(42, { chroma: 8, space: 'oklab' });
+
+    // YCbCr color space, with less grain on the blue channel
+    // p5grain.granulateChroma(42, { weights: [1, 1, 0.5] });
+
+    // RGB color space, i.e. independent grain per channel
+    // p5grain.granulateChroma(42, { chroma: 16, space: 'rgb' });
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,36 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Dither artwork using error diffusion
+    p5grain.dither({
+        palette: [color('#1b1b3a'), color('#6464f0'), color('#f4e9cd')],
+        serpentine: true,
+        size: 2,
+    });
+
+    // Ordered dithering using a Bayer matrix
+    // p5grain.dither({ method: 'bayer', matrixSize: 8, levels: 4 });
+
+    // Ordered dithering using blue noise
+    // p5grain.dither({ method: 'blue-noise', levels: 3 });
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
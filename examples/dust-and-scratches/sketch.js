@@ -0,0 +1,56 @@
+const shouldAnimate = true;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    frameRate(12);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    if (!shouldAnimate) noLoop();
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(40);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Granulate artwork
+    p5grain.granulateSimple(24);
+
+    // Add dust and scratches, which only depend on the seed and the frame
+    p5grain.dustAndScratches({
+        dust: 60,
+        scratches: 3,
+        frame: frameCount,
+        seed: 42,
+    });
+}
+
+function windowResized() {
+    setup();
+    if (!shouldAnimate) redraw();
+}
+
+function mousePressed() {
+    noLoop();
+}
+
+function mouseReleased() {
+    if (shouldAnimate) loop();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,41 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Granulate artwork simulating film grain
+
+    // Color negative film stock
+    p5grain.granulateFilm(42);
+
+    // Other film stocks
+    // p5grain.granulateFilm(42, { stock: 'slide' });
+    // p5grain.granulateFilm(42, { stock: 'black-and-white' });
+    // p5grain.granulateFilm(42, { stock: 'pushed' });
+
+    // Softer, coarser grain
+    // p5grain.granulateFilm(42, {
+    //     distribution: 'gaussian',
+    //     size: 2,
+    //     interpolation: 'smooth',
+    //     densityIndependent: true,
+    // });
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
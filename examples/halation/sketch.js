@@ -0,0 +1,31 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork with highlights
+    background(20);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+    fill(255, 250, 230);
+    circle(width/2, height/2, min(width, height)/6);
+
+    // Add a red glow around the highlights
+    p5grain.halation({ intensity: 0.9, radius: 24 });
+
+    // Granulate artwork simulating film grain
+    p5grain.granulateFilm(24);
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
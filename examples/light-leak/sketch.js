@@ -0,0 +1,36 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Add light leaks, kept in place by the seed
+    p5grain.lightLeak({ count: 3, seed: 42 });
+
+    // Cool light leaks
+    // p5grain.lightLeak({
+    //     colors: [[80, 160, 255], [120, 255, 220]],
+    //     intensity: 0.4,
+    //     seed: 42,
+    // });
+
+    // Granulate artwork
+    p5grain.granulateSimple(24);
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
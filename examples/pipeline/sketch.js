@@ -0,0 +1,55 @@
+let grain;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    // Stack grain and a custom tweak, which are applied in a single pass
+    grain = p5grain.pipeline([
+        { method: 'granulateChannels', amount: 20 },
+        (pixels, index) => {
+            // warm up the artwork
+            pixels[index] = Math.min(pixels[index] + 10, 255);
+        },
+        { method: 'granulateSimple', amount: 6, config: { distribution: 'gaussian' } },
+    ]);
+}
+
+function draw() {
+    // Simulate drawing animated artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH + sin(frameCount/30) * cD/4, cD);
+
+    // Apply pipeline
+    grain();
+}
+
+function windowResized() {
+    setup();
+}
+
+function mousePressed() {
+    noLoop();
+}
+
+function mouseReleased() {
+    loop();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,50 @@
+const shouldAnimate = true;
+let textureImage;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    // Generate a seamlessly tileable texture image, no asset needed
+    if (!textureImage) {
+        textureImage = p5grain.createTexture({ type: 'paper' });
+
+        // Other texture types
+        // textureImage = p5grain.createTexture({ type: 'canvas', frequency: 24 });
+        // textureImage = p5grain.createTexture({ type: 'halftone', frequency: 16 });
+    }
+
+    if (!shouldAnimate) noLoop();
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Blend over texture image
+    p5grain.textureOverlay(textureImage, { animate: shouldAnimate });
+}
+
+function windowResized() {
+    setup();
+    if (!shouldAnimate) redraw();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,50 @@
+let textureImage;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup({ seed: 999999 });
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+    textureImage = p5grain.createTexture({ type: 'paper', seed: 42 });
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Granulate artwork and blend over animated texture image
+    p5grain.granulateSimple(24);
+    p5grain.textureOverlay(textureImage, { animate: true });
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [G] to get the state and store it
+    if (keyCode === 71) {
+        localStorage.setItem('p5grain-state', JSON.stringify(p5grain.getState()));
+    }
+    // Press [R] to restore the stored state and continue from there
+    if (keyCode === 82) {
+        const state = localStorage.getItem('p5grain-state');
+        if (state) {
+            p5grain.setState(JSON.parse(state));
+        }
+    }
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
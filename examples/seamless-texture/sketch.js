@@ -0,0 +1,67 @@
+const shouldAnimate = true;
+let textureImage;
+let seamlessImage;
+let cW, cH, cD;
+
+function preload() {
+    textureImage = loadImage('./assets/texture.jpg');
+}
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    // Turn texture image into a seamlessly tileable texture image, without 
+    // the mirror symmetry of the reflect option
+    if (!seamlessImage) {
+        seamlessImage = p5grain.makeSeamless(textureImage, { border: 32 });
+
+        // Offset method, which keeps the dimensions of the texture image
+        // seamlessImage = p5grain.makeSeamless(textureImage, { method: 'offset' });
+    }
+
+    if (!shouldAnimate) noLoop();
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Blend over seamless texture image
+    p5grain.textureOverlay(seamlessImage, {
+        width: seamlessImage.width/2,
+        height: seamlessImage.height/2,
+        animate: shouldAnimate,
+    });
+}
+
+function windowResized() {
+    setup();
+    if (!shouldAnimate) redraw();
+}
+
+function mousePressed() {
+    noLoop();
+}
+
+function mouseReleased() {
+    if (shouldAnimate) loop();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
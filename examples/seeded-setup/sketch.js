@@ -0,0 +1,47 @@
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    // Use the built-in random number generator seeded with the given seed
+    // e.g. p5grain.setup({ seed: fxrand() * 4294967296 });
+    p5grain.setup({ seed: 999999 });
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+}
+
+function draw() {
+    // Simulate drawing animated artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW + sin(frameCount/30) * cD/2, cH, cD);
+
+    // Start all substreams over, so that the grain is the same on every frame
+    p5grain.reseed();
+
+    // Granulate artwork, using a unique stream id so that the grain stays 
+    // the same when other calls are added
+    p5grain.granulateSimple(42, { stream: 'grain' });
+}
+
+function windowResized() {
+    setup();
+}
+
+function mousePressed() {
+    // Render different grain using a new seed
+    p5grain.reseed(floor(random(4294967296)));
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,32 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Granulate artwork using a WebGL fragment shader, which falls back 
+    // to pixel manipulation when WebGL is not available
+
+    // Simple method
+    p5grain.granulateShader(42);
+
+    // Channels method
+    // p5grain.granulateShader(42, { channels: true });
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
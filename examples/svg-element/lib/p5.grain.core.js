@@ -5,4 +5,4 @@
  * @license MIT
  * @copyright meezwhite, Gorilla Sun
  */
-class P5Grain{version="0.6.1";#e;#t;#i;instanceMode=!1;instanceRef;constructor(){this.#e=Math.random,this.#t={frameCount:0},this.#i={frameCount:0,tX_anchor:0,tX:0,tY:0}}setup(e){void 0===e?this.#e=random:"object"==typeof e&&("function"==typeof e.random&&(this.#e=e.random),"boolean"==typeof e.instanceMode&&(this.instanceMode=e.instanceMode),"object"==typeof e.instanceRef&&(this.instanceRef=e.instanceRef,this.instanceRef.p5grain=this))}granulateSimple(e,t,i){const n=this.instanceMode?this.instanceRef.round(e):round(e),s=t||!1;i?i.loadPixels():this.instanceMode?this.instanceRef.loadPixels():loadPixels();const a=i?i.pixelDensity():this.instanceMode?this.instanceRef.pixelDensity():pixelDensity(),h=(this.instanceMode?this.instanceRef.width:width)*a*4*((this.instanceMode?this.instanceRef.height:height)*a),o=i?i.pixels:this.instanceMode?this.instanceRef.pixels:pixels;for(let e=0;e<h;e+=4){const t=this.#n(-n,n);o[e]=o[e]+t,o[e+1]=o[e+1]+t,o[e+2]=o[e+2]+t,s&&(o[e+3]=o[e+3]+t)}i?i.updatePixels():this.instanceMode?this.instanceRef.updatePixels():updatePixels()}granulateChannels(e,t,i){const n=round(e),s=t||!1;i?i.loadPixels():this.instanceMode?this.instanceRef.loadPixels():loadPixels();const a=i?i.pixelDensity():this.instanceMode?this.instanceRef.pixelDensity():pixelDensity(),h=(this.instanceMode?this.instanceRef.width:width)*a*4*((this.instanceMode?this.instanceRef.height:height)*a),o=i?i.pixels:this.instanceMode?this.instanceRef.pixels:pixels;for(let e=0;e<h;e+=4)o[e]=o[e]+this.#n(-n,n),o[e+1]=o[e+1]+this.#n(-n,n),o[e+2]=o[e+2]+this.#n(-n,n),s&&(o[e+3]=o[e+3]+this.#n(-n,n));i?i.updatePixels():this.instanceMode?this.instanceRef.updatePixels():updatePixels()}tinkerPixels(e,t,i){t=!1!==t,i?i.loadPixels():this.instanceMode?this.instanceRef.loadPixels():loadPixels();const n=i?i.pixelDensity():this.instanceMode?this.instanceRef.pixelDensity():pixelDensity(),s=(this.instanceMode?this.instanceRef.width:width)*n*4*((this.instanceMode?this.instanceRef.height:height)*n);for(let t=0;t<s;t+=4)e(t,s);t&&(i?i.updatePixels():this.instanceMode?this.instanceRef.updatePixels():updatePixels())}textureAnimate(e,t){const i=t&&t.atFrame?this.instanceMode?this.instanceRef.round(t.atFrame):round(t.atFrame):2;if(this.#t.frameCount+=1,this.#t.frameCount>=i){const i=t&&t.amount?this.instanceMode?this.instanceRef.round(t.amount):round(t.amount):this.instanceMode?this.instanceRef.min(this.instanceMode?this.instanceRef.width:width,this.instanceMode?this.instanceRef.height:height):min(width,height),n=this.instanceMode?this.instanceRef.floor(this.#e()*i):floor(this.#e()*i),s=this.instanceMode?this.instanceRef.floor(this.#e()*i):floor(this.#e()*i),a=`${n}px ${s}px`;e instanceof HTMLElement?e.style.backgroundPosition=a:e instanceof SVGElement?(e.style.top=-s+"px",e.style.left=-n+"px"):e instanceof p5.Element&&e.style("background-position",a),this.#t.frameCount=0}}textureOverlay(e,t,i){const n=i instanceof p5.Graphics,s=n?i.width:this.instanceMode?this.instanceRef.width:width,a=n?i.height:height,h=t&&t.mode?t.mode:this.instanceMode?this.instanceRef.MULTIPLY:MULTIPLY,o=!(!t||!t.reflect)&&t.reflect,c=!(!t||!t.animate)&&t.animate,d=t&&t.animate&&t.animate.atFrame?round(t.animate.atFrame):2,r=t&&t.animate&&t.animate.amount?this.instanceMode?this.instanceRef.round(t.animate.amount):round(t.animate.amount):this.instanceMode?this.instanceRef.min(s,a):min(s,a),l=t&&"number"==typeof t.width?t.width:e.width,f=t&&"number"==typeof t.height?t.height:e.height;c&&(this.#i.frameCount+=1,this.#i.frameCount>=d&&(this.#i.tX_anchor=this.instanceMode?-this.instanceRef.floor(this.#e()*r):-floor(this.#e()*r),this.#i.tY=this.instanceMode?-this.instanceRef.floor(this.#e()*r):-floor(this.#e()*r),this.#i.frameCount=0));let m=this.#i.tX_anchor,u=this.#i.tY,M=!0,x=!0;for(i?i.blendMode(h):this.instanceMode?this.instanceRef.blendMode(h):blendMode(h);u<a;){for(;m<s;){if(o?(n?i.push():this.instanceMode?this.instanceRef.push():push(),M?x?n?i.image(e,m,u,l,f):this.instanceMode?this.instanceRef.image(e,m,u,l,f):image(e,m,u,l,f):n?(i.scale(-1,1),i.image(e,-m,u,-l,f)):(this.instanceMode?this.instanceRef.scale(-1,1):scale(-1,1),this.instanceMode?this.instanceRef.image(e,-m,u,-l,f):image(e,-m,u,-l,f)):x?n?(i.scale(1,-1),i.image(e,m,-u,l,-f)):(this.instanceMode?this.instanceRef.scale(1,-1):scale(1,-1),this.instanceMode?this.instanceRef.image(e,m,-u,l,-f):image(e,m,-u,l,-f)):n?(i.scale(-1,-1),i.image(e,-m,-u,-l,-f)):(this.instanceMode?this.instanceRef.scale(-1,-1):scale(-1,-1),this.instanceMode?this.instanceRef.image(e,-m,-u,-l,-f):image(e,-m,-u,-l,-f)),n?i.pop():this.instanceMode?this.instanceRef.pop():pop()):n?i.image(e,m,u,l,f):this.instanceMode?this.instanceRef.image(e,m,u,l,f):image(e,m,u,l,f),m+=l,m>=s){x=!0,m=this.#i.tX_anchor,u+=f;break}x=!x}M=!M}i?i.blendMode(this.instanceMode?this.instanceRef.BLEND:BLEND):this.instanceMode?this.instanceRef.blendMode(this.instanceRef.BLEND):blendMode(BLEND),n&&i.reset()}#n(e,t){return e=Math.ceil(e),t=Math.floor(t),Math.floor(this.#e()*(t-e+1)+e)}}
+class P5Grain{version="0.6.1";#e;#t;#a;#n;#r;#s;#i;#o;#l;#h;#c;#u;#d;#p;#f;#m;#g;instanceMode=!1;instanceRef;constructor(){this.#t=Math.random,this.#e=this.#t,this.#a=null,this.#n={},this.#r=new Map,this.#s={},this.#i={},this.#o=new WeakMap,this.#l=new WeakMap,this.#h={buffer:null,shader:null},this.#c=new WeakMap,this.#u=new Set,this.#d=new WeakMap,this.#p=null,this.#f=new WeakMap,this.#m=new WeakMap,this.#y()}setup(e){void 0===e?(this.#t=p5.instance?()=>p5.instance.random():Math.random,this.#a=null,this.#e=this.#t):"object"==typeof e&&("function"==typeof e.random&&(this.#t=e.random,this.#a=null,this.#e=this.#t),"number"==typeof e.seed&&this.reseed(e.seed),"boolean"==typeof e.instanceMode&&(this.instanceMode=e.instanceMode),"object"==typeof e.instanceRef&&(this.instanceRef=e.instanceRef,this.instanceRef.p5grain=this))}reseed(e){"number"==typeof e&&(this.#a=e>>>0),this.#n={},this.#o=new WeakMap,this.#l=new WeakMap,this.#f=new WeakMap,this.#r=new Map,this.#s={},this.#i={}}getState(){const e={...this.#i};return this.#r.forEach(((t,a)=>{e[a]={...t}})),{seed:this.#a,streams:{...this.#n},animations:e}}setState(e){this.#a=null===e.seed?null:e.seed>>>0,this.#n={...e.streams},null===this.#a&&(this.#e=this.#t),this.#i={},Object.entries(e.animations||{}).forEach((([e,t])=>{this.#r.has(e)?Object.assign(this.#r.get(e),t):this.#i[e]={...t}}))}granulateSimple(e,t,a){this.#M("granulateSimple",t);const n=t&&"object"==typeof t?t:{alpha:t},r=this.#x(a,n.region);r.loadPixels(),this.#b(r,this.#w(r,e,n)),r.updatePixels()}granulateChannels(e,t,a){this.#M("granulateChannels",t);const n=t&&"object"==typeof t?t:{alpha:t},r=this.#x(a,n.region);r.loadPixels(),this.#b(r,this.#v(r,e,n)),r.updatePixels()}granulateSimpleAsync(e,t,a){return this.#M("granulateSimpleAsync",t),this.#S(!1,e,t,a)}granulateChannelsAsync(e,t,a){return this.#M("granulateChannelsAsync",t),this.#S(!0,e,t,a)}granulateFilm(e,t,a){this.#M("granulateFilm",t);const n=t||{},r=this.#x(a,n.region);r.loadPixels(),this.#P(r,this.#k(r,e,n)),r.updatePixels()}granulateChroma(e,t,a){this.#M("granulateChroma",t);const n=t||{},r=this.#x(a,n.region);r.loadPixels(),this.#P(r,this.#G(r,e,n)),r.updatePixels()}tinkerPixels(e,t,a){t=!1!==t;const n=this.#x(a);n.loadPixels();const r=n.total;this.#P(n,(t=>e(t,r))),t&&n.updatePixels()}pipeline(e,t){const a=e.slice(),n=t&&t.region?t.region:null;return e=>{const t=this.#x(e,n);t.loadPixels();const r=t.pixels,s=e=>(t,a,n,r)=>{for(let s=a;s<n;s++,t+=4)e(t,s,r)},i=a.map((e=>{if("function"==typeof e)return s(((t,a,n)=>e(r,t,a,n)));const a=e.config&&"object"==typeof e.config?e.config:{alpha:e.config};switch(this.#M(e.method,a),e.method){case"granulateChannels":return this.#v(t,e.amount,a);case"granulateFilm":return s(this.#k(t,e.amount,a));case"granulateChroma":return s(this.#G(t,e.amount,a));default:return this.#w(t,e.amount,a)}})),o=i.length;this.#b(t,((e,t,a,n)=>{for(let r=0;r<o;r++)i[r](e,t,a,n)})),t.updatePixels()}}auto(e){if("boolean"==typeof e)return void(this.#p&&(this.#p.enabled=e));const t=[];let a=null;e.stack.forEach((e=>{"function"==typeof e||P5Grain.#A.includes(e.method)?(a||(a=[],t.push(a)),a.push(e)):(a=null,t.push(e))})),this.#p={enabled:!1!==e.enabled,stack:t.map((e=>Array.isArray(e)?this.pipeline(e):e))};const n=(this.instanceMode?this.instanceRef:p5.instance)||p5.prototype;n._registeredMethods&&n._registeredMethods.post&&n._registeredMethods.post.includes(P5Grain.#C)||P5Grain.#R.has(n)||(n.registerMethod("post",P5Grain.#C),P5Grain.#R.add(n))}granulateShader(e,t,a){this.#M("granulateShader",t);const n=!(!t||!t.channels),r=!(!t||!t.alpha);if(!this.#T())return void(n?this.granulateChannels(e,r,a):this.granulateSimple(e,r,a));const s=this.#x(a),i=s.pInst,o=s.width,l=s.height,h=this.#E(i,o,l,s.density),c=this.#h.shader;h.clear(),h.shader(c),c.setUniform("uTexture",a||i._renderer),c.setUniform("uAmount",Math.round(e)),c.setUniform("uSeed",this.#e()),c.setUniform("uChannels",n),c.setUniform("uAlpha",r),h.noStroke(),h.rect(-o/2,-l/2,o,l),h.resetShader();const u=s.ref;u.push(),u.resetMatrix(),u.blendMode(i.BLEND),u.imageMode(i.CORNER),u.clear(),u.image(h,s.isWebGL?-o/2:0,s.isWebGL?-l/2:0,o,l),u.pop()}textureAnimate(e,t){this.#M("textureAnimate",t);const a=e instanceof p5.Element?e.elt:e,n=this.#I(this.#o,a,(()=>this.#W("textureAnimate")));if(this.#d.has(a)&&this.#d.get(a)(),t&&"number"==typeof t.opacity&&(a.style.opacity=t.opacity),this.#L(n,t,this.#x())){const r=t&&(t.rotation||t.scale)?`rotate(${n.rotation}rad) scale(${n.scale})`:null;if("seed"===(t&&t.method?t.method:a.querySelector("feTurbulence")?"seed":"offset"))return this.#F(a,Math.round(n.x)),void(r&&(a.style.transform=r));const s=`${n.x}px ${n.y}px`;e instanceof HTMLElement?(e.style.backgroundPosition=s,r&&(e.style.transform=r)):e instanceof SVGElement?(e.style.top=-n.y+"px",e.style.left=-n.x+"px",r&&(e.style.transform=r)):e instanceof p5.Element&&(e.style("background-position",s),r&&e.style("transform",r))}}textureOverlay(e,t,a){this.#M("textureOverlay",t);const n=t&&t.region?t.region:null,r=t&&t.mask?t.mask:null,s=this.#x(a,n),i=s.ref,o=t&&t.engine?t.engine:"canvas",l=t&&"number"==typeof t.opacity?t.opacity:1;let h=null;(n||r)&&"pixels"!==o&&(s.loadPixels(),h=s.pixels.slice());const c=s.width,u=s.height,d=t&&t.mode?t.mode:s.pInst.MULTIPLY,p=!(!t||!t.reflect)&&t.reflect,f=!(!t||!t.animate)&&t.animate,m=t&&"number"==typeof t.width?t.width:e.width,g=t&&"number"==typeof t.height?t.height:e.height,y=t&&"boolean"==typeof t.cache?t.cache:Boolean(f),M=this.#I(this.#l,i,(()=>new WeakMap)),x=f?this.#I(M,e,(()=>this.#W("textureOverlay"))):M.get(e)||{x:0,y:0,rotation:0,scale:1};f&&this.#L(x,"object"==typeof f?f:null,s);const b=p?2*m:m,w=p?2*g:g;let v=0,S=0;if(f&&(f.rotation||f.scale)){const e=Math.hypot(c,u)/(2*(1-(f.scale||0)));v=Math.ceil(e/b)*b,S=Math.ceil(e/w)*w}const P=-(x.x%b+b)%b-v,k=-(x.y%w+w)%w-S;if("pixels"===o)return void this.#O(s,e,{tW:m,tH:g,reflect:p,offsetX:P+v,offsetY:k+S,rotation:x.rotation,scale:x.scale,mode:d,opacity:l,maskWeight:r?this.#B(r,s,t.maskMode):null});i.blendMode(d);const G=s.isWebGL?null:i.drawingContext.globalAlpha;l<1&&(s.isWebGL?i.tint(255,255*l):i.drawingContext.globalAlpha=G*l);const A=0!==x.rotation||1!==x.scale;if(A){const e=Math.cos(x.rotation)*x.scale,t=Math.sin(x.rotation)*x.scale;i.push(),i.translate(c/2,u/2),i.applyMatrix(e,t,-t,e,0,0),i.translate(-c/2,-u/2)}if(y){const t=this.#N(s,e,m,g,p,v,S);i.image(t,P,k,t.width,t.height)}else this.#j(i,e,m,g,p,c+v,u+S,P,k);if(A&&i.pop(),l<1&&(s.isWebGL?i.noTint():i.drawingContext.globalAlpha=G),i.blendMode(s.pInst.BLEND),s.isGraphics&&i.reset(),h){const e=r?this.#B(r,s,t.maskMode):null;this.#z(s,h,e)}}vignette(e,t){const a=e||{},n="number"==typeof a.amount?a.amount:.5,r="number"==typeof a.radius?a.radius:.5,s="number"==typeof a.softness?a.softness:.5,i=a.color||[0,0,0],o=this.#x(t),{pixelWidth:l,pixelHeight:h,density:c}=o,u=(a.center?a.center.x:o.width/2)*c,d=(a.center?a.center.y:o.height/2)*c;o.loadPixels();const p=o.pixels;this.#P(o,((e,t,a)=>{const o=(t+.5-u)/l,c=(a+.5-d)/h,f=Math.sqrt(2*(o*o+c*c));let m=s>0?Math.min(Math.max((f-r)/s,0),1):f>=r?1:0;if(m=n*m*m*(3-2*m),m>0)for(let t=0;t<3;t++)p[e+t]=Math.round(p[e+t]+(i[t]-p[e+t])*m)})),o.updatePixels()}dustAndScratches(e,t){this.#M("dustAndScratches",e);const a=e||{},n="number"==typeof a.dust?Math.round(a.dust):30,r="number"==typeof a.scratches?Math.round(a.scratches):2,s="number"==typeof a.size?a.size:3,i=a.color||[255,255,255],o="number"==typeof a.opacity?a.opacity:.8,l=this.#x(t),{pixelWidth:h,pixelHeight:c,density:u}=l,d=this.#U("dustAndScratches",l,a);l.loadPixels();const p=l.pixels,f=(e,t,a)=>{if(a<=0||e<0||e>=h||t<0||t>=c)return;const n=4*(t*h+e);for(let e=0;e<3;e++)p[n+e]=Math.round(p[n+e]+(i[e]-p[n+e])*a)};for(let e=0;e<n;e++){const e=d()*h,t=d()*c,a=(.5+d()*Math.max(s-.5,0))*u,n=o*(.4+.6*d()),r=1+Math.floor(3*d());for(let s=0;s<r;s++){const r=e+(d()-.5)*a,s=t+(d()-.5)*a,i=a*(.4+.6*d());for(let e=Math.floor(s-i);e<=Math.ceil(s+i);e++)for(let t=Math.floor(r-i);t<=Math.ceil(r+i);t++){const a=Math.hypot(t+.5-r,e+.5-s);f(t,e,n*Math.min(Math.max(i+.5-a,0),1))}}}for(let e=0;e<r;e++){const e=d()*h,t=d()*c*.5,a=Math.min(t+c*(.3+.7*d()),c),n=.04*(d()-.5),r=2*d()*u,s=2*d()*Math.PI,i=2*(1+3*d())*Math.PI/c,l=(.3+.4*d())*u,p=o*(.3+.5*d()),m=8*u;for(let o=Math.floor(t);o<a;o++){const h=e+n*(o-t)+Math.sin(s+o*i)*r,c=Math.min((o-t)/m,(a-o)/m,1);for(let e=Math.floor(h-l-1);e<=Math.ceil(h+l+1);e++){f(e,o,p*c*Math.min(Math.max(l+.5-Math.abs(e+.5-h),0),1))}}}l.updatePixels()}lightLeak(e,t){this.#M("lightLeak",e);const a=e||{},n="number"==typeof a.count?Math.round(a.count):2,r=a.colors||[[255,96,32],[255,176,64],[255,48,96]],s="number"==typeof a.intensity?a.intensity:.5,i="number"==typeof a.size?a.size:.6,o=this.#x(t),{pixelWidth:l,pixelHeight:h}=o,c=this.#U("lightLeak",o,a),u=Math.hypot(l,h),d=[];for(let e=0;e<n;e++){const e=Math.floor(4*c()),t=c(),a=i*u*(.5+.5*c()),n=e<2;d.push({x:n?(0===e?-.1:1.1)*l:t*l,y:n?t*h:(2===e?-.1:1.1)*h,radiusX:n?a:1.5*a,radiusY:n?1.5*a:a,color:r[Math.floor(c()*r.length)],strength:s*(.5+.5*c())})}o.loadPixels();const p=o.pixels;this.#P(o,((e,t,a)=>{for(const n of d){const r=(t-n.x)/n.radiusX,s=(a-n.y)/n.radiusY,i=1-(r*r+s*s);if(i>0){const t=i*i*n.strength;for(let a=0;a<3;a++)p[e+a]=this.#V(Math.round(p[e+a]+n.color[a]*t))}}})),o.updatePixels()}halation(e,t){const a=e||{},n="number"==typeof a.threshold?a.threshold:.75,r="number"==typeof a.radius?a.radius:12,s="number"==typeof a.intensity?a.intensity:.6,i=a.color||[255,64,32],o=this.#x(t),{pixelWidth:l,pixelHeight:h,density:c}=o;o.loadPixels();const u=o.pixels,d=new Float32Array(l*h);for(let e=0;e<d.length;e++){const t=this.#D(u,4*e);d[e]=t>n?(t-n)/(1-n):0}this.#H(d,l,h,Math.round(r*c)),this.#P(o,(e=>{const t=d[e/4]*s;if(t>0)for(let a=0;a<3;a++)u[e+a]=Math.round(u[e+a]+i[a]*t*(1-u[e+a]/255))})),o.updatePixels()}dither(e,t){const a=e||{},n=a.method||"floyd-steinberg",r=a.palette?a.palette.map((e=>e instanceof p5.Color?e.levels.slice(0,3):e)):null,s=a.levels?Math.round(a.levels):2,i="number"==typeof a.spread?a.spread:255/Math.max((r?r.length:s)-1,1),o=this.#x(t,a.region),{x0:l,y0:h,x1:c,y1:u}=o,d=(a.size||1)*o.density,p=Math.ceil((c-l)/d),f=Math.ceil((u-h)/d),m=(e,t)=>Math.floor((t-h)/d)*p+Math.floor((e-l)/d);o.loadPixels();const g=o.pixels,y=new Float32Array(3*p*f),M=new Uint32Array(p*f);this.#P(o,((e,t,a)=>{const n=m(t,a);y[3*n]+=g[e],y[3*n+1]+=g[e+1],y[3*n+2]+=g[e+2],M[n]++}));for(let e=0;e<M.length;e++)for(let t=0;t<3;t++)y[3*e+t]/=M[e]||1;const x=255/(s-1),b=e=>{if(!r){for(let t=0;t<3;t++)e[t]=Math.min(Math.max(Math.round(e[t]/x)*x,0),255);return}let t=r[0],a=1/0;for(const n of r){const r=e[0]-n[0],s=e[1]-n[1],i=e[2]-n[2],o=r*r+s*s+i*i;o<a&&(t=n,a=o)}e[0]=t[0],e[1]=t[1],e[2]=t[2]},w=new Uint8ClampedArray(3*p*f),v=[0,0,0],S=P5Grain.#q[n];if(S)for(let e=0;e<f;e++){const t=a.serpentine&&e%2==1;for(let a=0;a<p;a++){const n=t?p-1-a:a,r=e*p+n;for(let e=0;e<3;e++)v[e]=y[3*r+e];b(v);for(let a=0;a<3;a++){const s=y[3*r+a]-v[a];w[3*r+a]=Math.round(v[a]);for(const[r,i,o]of S){const l=n+(t?-r:r),h=e+i;l>=0&&l<p&&h<f&&(y[3*(h*p+l)+a]+=s*o)}}}}else{let e,t;"blue-noise"===n?(e=64,t=this.#Y()):(e=a.matrixSize||4,t=this.#X(e));const r=e*e;for(let a=0;a<f;a++)for(let n=0;n<p;n++){const s=a*p+n,o=((t[a%e*e+n%e]+.5)/r-.5)*i;for(let e=0;e<3;e++)v[e]=y[3*s+e]+o;b(v);for(let e=0;e<3;e++)w[3*s+e]=Math.round(v[e])}}this.#P(o,((e,t,a)=>{const n=m(t,a);g[e]=w[3*n],g[e+1]=w[3*n+1],g[e+2]=w[3*n+2]})),o.updatePixels()}clearCache(){this.#u.forEach((e=>e.remove())),this.#u.clear(),this.#c=new WeakMap,this.#h.buffer&&(this.#h.buffer.remove(),this.#h.buffer=null,this.#h.shader=null)}createTexture(e){this.#M("createTexture",e);const t=e&&e.type?e.type:"fractal",a=e&&e.width?Math.round(e.width):256,n=e&&e.height?Math.round(e.height):a,r=e&&e.frequency?e.frequency:8,s=e&&e.octaves?Math.round(e.octaves):"fractal"===t||"paper"===t?4:1,i=e&&"number"==typeof e.contrast?e.contrast:1,o=e&&"number"==typeof e.seed?e.seed:Math.floor(4294967296*this.#e()),l=this.#K(o),h=Math.max(1,Math.round(r)),c=Math.max(1,Math.round(r*n/a));let u;switch(t){case"value":case"perlin":case"fractal":u=this.#Q(l,a,n,h,c,s,"value"===t);break;case"paper":u=this.#J(l,a,n,h,c,s);break;case"canvas":u=this.#Z(l,a,n,h,c);break;case"halftone":u=this.#$(l,a,n,h,c,s)}const d=this.#x().pInst;let p;e&&e.graphics?(p=d.createGraphics(a,n),p.pixelDensity(1)):p=d.createImage(a,n),p.loadPixels();const f=p.pixels;for(let e=0,t=0;e<u.length;e++,t+=4){const a=this.#V(Math.round(255*((u[e]-.5)*i+.5)));f[t]=a,f[t+1]=a,f[t+2]=a,f[t+3]=255}return p.updatePixels(),p}makeSeamless(e,t){e.loadPixels();const a="function"==typeof e.pixelDensity?e.pixelDensity():1,n=e.pixels,r=Math.floor(e.width*a),s=Math.floor(e.height*a),i=t&&t.method?t.method:"crossfade",o=Math.max(1,Math.min(t&&t.border?Math.round(t.border*a):Math.round(Math.min(r,s)/4),Math.floor(Math.min(r,s)/2))),l="crossfade"===i,h=l?r-o:r,c=l?s-o:s,u=this.#x().pInst.createImage(h,c);u.loadPixels();const d=u.pixels;if(l){const e=new Float32Array(4*h*s);for(let t=0;t<s;t++)for(let a=0;a<h;a++){const s=a<o?a/o:1,i=4*(t*r+a),l=4*(t*r+a+h);for(let r=0;r<4;r++)e[4*(t*h+a)+r]=a<o?n[l+r]*(1-s)+n[i+r]*s:n[i+r]}for(let t=0;t<c;t++){const a=t<o?t/o:1;for(let n=0;n<h;n++){const r=4*(t*h+n),s=4*((t+c)*h+n);for(let n=0;n<4;n++)d[r+n]=t<o?e[s+n]*(1-a)+e[r+n]*a:e[r+n]}}}else{const e=Math.floor(r/2),t=Math.floor(s/2);for(let a=0;a<s;a++){const i=1-Math.min(Math.min(a,s-1-a)/o,1),l=(a+t)%s;for(let t=0;t<r;t++){const s=1-Math.min(Math.min(t,r-1-t)/o,1),h=Math.max(s,i),c=4*(a*r+t),u=4*(l*r+(t+e)%r);for(let e=0;e<4;e++)d[c+e]=n[c+e]*(1-h)+n[u+e]*h}}}return u.updatePixels(),u}createSVGTexture(e){const t=this.#_(e);return Object.assign(t.style,{position:"fixed",zIndex:99,top:0,left:0,width:"100%",height:"100%",pointerEvents:"none"}),(e&&e.parent?e.parent:document.body).appendChild(t),t}createTextureElement(e){const t=this.#x(),a=t.pInst.createDiv(),n=a.elt;if(e&&e.svg){const t=this.#_(e.svg);t instanceof SVGElement?(t.style.display="block",t.style.width="100%",t.style.height="100%",n.appendChild(t)):(n.style.backgroundImage=t.style.backgroundImage,n.style.backgroundRepeat=t.style.backgroundRepeat,n.style.backgroundSize=t.style.backgroundSize)}else{const t=e&&e.image?e.image:this.createTexture(),a="string"==typeof t?t:t.canvas.toDataURL(),r=e&&"number"==typeof e.width?e.width:"string"==typeof t?null:t.width,s=e&&"number"==typeof e.height?e.height:"string"==typeof t?null:t.height;n.style.backgroundImage=`url("${a}")`,n.style.backgroundRepeat="repeat repeat",null===r&&null===s||(n.style.backgroundSize=`${null!==r?`${r}px`:"auto"} ${null!==s?`${s}px`:"auto"}`)}const r=e&&e.mode?e.mode:t.pInst.MULTIPLY;n.style.mixBlendMode=P5Grain.#ee[r]||r,n.style.position="absolute",n.style.pointerEvents="none";const s=t.ref;let i=null;const o="undefined"!=typeof ResizeObserver?new ResizeObserver((()=>l())):null,l=()=>{if(i&&!n.isConnected)return o&&o.disconnect(),window.removeEventListener("resize",l),void this.#d.delete(n);s.canvas!==i&&(i=s.canvas,o&&(o.disconnect(),o.observe(i)),i.parentNode.insertBefore(n,i.nextSibling)),n.style.left=`${i.offsetLeft}px`,n.style.top=`${i.offsetTop}px`,n.style.width=`${i.offsetWidth}px`,n.style.height=`${i.offsetHeight}px`};return window.addEventListener("resize",l),this.#d.set(n,l),l(),a}async saveWithTexture(e,t){const a=t instanceof p5.Element?t.elt:t,n=this.#x(),r=n.ref.canvas,s=document.createElement("canvas");s.width=r.width,s.height=r.height;const i=s.getContext("2d");i.drawImage(r,0,0);const o=r.getBoundingClientRect(),l=a.getBoundingClientRect(),h=window.getComputedStyle(a);i.save(),i.scale(r.width/o.width,r.height/o.height),i.translate(l.left-o.left,l.top-o.top),i.beginPath(),i.rect(0,0,l.width,l.height),i.clip(),i.globalAlpha=parseFloat(h.opacity),i.globalCompositeOperation=P5Grain.#te[h.mixBlendMode]||h.mixBlendMode;const c=a instanceof SVGSVGElement?a:a.querySelector("svg"),u=h.backgroundImage.match(/^url\((['"]?)(.*)\1\)$/s);if(c){const e=c.getBoundingClientRect(),t=c.cloneNode(!0);t.removeAttribute("style"),t.setAttribute("xmlns","http://www.w3.org/2000/svg"),t.setAttribute("width",e.width),t.setAttribute("height",e.height);const a=await this.#ae(`data:image/svg+xml,${encodeURIComponent((new XMLSerializer).serializeToString(t))}`);i.drawImage(a,e.left-l.left,e.top-l.top,e.width,e.height)}else if(u){const e=await this.#ae(u[2]),[t,a]=h.backgroundSize.split(" ");let n=parseFloat(t),r=parseFloat(a);isNaN(n)&&isNaN(r)?(n=e.width,r=e.height):isNaN(r)?r=n*e.height/e.width:isNaN(n)&&(n=r*e.width/e.height);const[s,o]=h.backgroundPosition.split(" ").map(parseFloat),c=i.createPattern(e,"repeat");c.setTransform((new DOMMatrix).translateSelf(s||0,o||0).scaleSelf(n/e.width,r/e.height)),i.fillStyle=c,i.fillRect(0,0,l.width,l.height)}i.restore(),n.pInst.saveCanvas(s,e)}#x(e,t){const a=this.#m,n=e||(this.instanceMode?this.instanceRef:p5.instance),r=e?e._pInst:n,s=n.pixelDensity(),i=Math.floor(n.width*s),o=Math.floor(n.height*s);let l=0,h=0,c=i,u=o;return t&&(l=Math.min(Math.max(Math.floor(t.x*s),0),i),h=Math.min(Math.max(Math.floor(t.y*s),0),o),c=Math.min(Math.max(Math.floor((t.x+t.width)*s),l),i),u=Math.min(Math.max(Math.floor((t.y+t.height)*s),h),o)),{ref:n,pInst:r,isGraphics:n instanceof p5.Graphics,isWebGL:n._renderer instanceof p5.RendererGL,width:n.width,height:n.height,density:s,pixelWidth:i,pixelHeight:o,total:4*i*o,x0:l,y0:h,x1:c,y1:u,get pixels(){return n.pixels},loadPixels(){n.loadPixels()},updatePixels(){n.updatePixels(),a.set(n,(a.get(n)||0)+1)}}}#P(e,t){const{pixelWidth:a,x0:n,y0:r,x1:s,y1:i}=e;for(let e=r;e<i;e++)for(let r=n,i=4*(e*a+n);r<s;r++,i+=4)t(i,r,e)}#b(e,t){const{pixelWidth:a,x0:n,y0:r,x1:s,y1:i}=e;for(let e=r;e<i;e++)t(4*(e*a+n),n,s,e)}#B(e,t,a){e.loadPixels();const n="function"==typeof e.pixelDensity?e.pixelDensity():1,r=Math.floor(e.width*n),s=Math.floor(e.height*n),i=r/t.pixelWidth,o=s/t.pixelHeight,l=e.pixels,h="alpha"===a;return(e,t)=>{const a=Math.min(Math.floor(e*i),r-1),n=4*(Math.min(Math.floor(t*o),s-1)*r+a);return h?l[n+3]/255:this.#D(l,n)}}#ne(e,t){const a=t.mask?this.#B(t.mask,e,t.maskMode):null,n=t.curve?"function"==typeof t.curve?t.curve:P5Grain.#re[t.curve]:null;if(!a&&!n)return null;const r=e.pixels;return(e,t,s)=>{let i=a?a(t,s):1;return n&&(i*=n(this.#D(r,e))),i}}#D(e,t){return(.2126*e[t]+.7152*e[t+1]+.0722*e[t+2])/255}#z(e,t,a){const{pixelWidth:n,pixelHeight:r,x0:s,y0:i,x1:o,y1:l}=e;e.loadPixels();const h=e.pixels;for(let e=0;e<r;e++)for(let r=0,c=4*e*n;r<n;r++,c+=4){const n=r>=s&&r<o&&e>=i&&e<l?a?a(r,e):1:0;if(n<1)for(let e=0;e<4;e++)h[c+e]=t[c+e]+(h[c+e]-t[c+e])*n}e.updatePixels()}#w(e,t,a){const n=Math.round(t),r=a.alpha||!1,s=e.pixels,i=this.#se(e,n,a,1),o=this.#ne(e,a);return(e,t,a,n)=>P5Grain.#ie(s,e,t,a,n,i,o,!1,r)}#v(e,t,a){const n=Math.round(t),r=a.alpha||!1,s=e.pixels,i=this.#se(e,n,a,r?4:3),o=this.#ne(e,a);return(e,t,a,n)=>P5Grain.#ie(s,e,t,a,n,i,o,!0,r)}#k(e,t,a){const n=P5Grain.#oe[a.stock||"color-negative"],r=Math.round(t),s="number"==typeof a.chroma?a.chroma:n.chroma,i=e.pixels,o=this.#se(e,r,a,s>0?4:1),l=this.#ne(e,{mask:a.mask,maskMode:a.maskMode,curve:a.curve||n.curve});return(e,t,a)=>{const n=l(e,t,a),r=o(t,a,0);for(let l=0;l<3;l++){let h=r;s>0&&(h=(1-s)*r+s*o(t,a,l+1)),i[e+l]=this.#V(i[e+l]+Math.round(h*n))}}}#G(e,t,a){const n=Math.round(t),r="number"==typeof a.chroma?Math.round(a.chroma):Math.round(t/4),s=P5Grain.#le[a.space||"ycbcr"],i=a.weights||[1,1,1],o=e.pixels,l=this.#se(e,n,a,1),h=this.#se(e,r,a,s.chromaChannels),c=this.#ne(e,a),u=[0,0,0];return(e,t,a)=>{const n=c?c(e,t,a):1;u[0]=o[e],u[1]=o[e+1],u[2]=o[e+2],s.apply(u,l(t,a,0),(e=>h(t,a,e)));for(let t=0;t<3;t++)o[e+t]=this.#V(o[e+t]+Math.round((u[t]-o[e+t])*n*i[t]))}}#se(e,t,a,n){const r=a.distribution||"uniform",s=this.#e,i=(a.size||1)*(a.densityIndependent?e.density:1);if(i<=1)return()=>this.#he(t,r,s);const{x0:o,y0:l,x1:h,y1:c}=e,u=Math.ceil((h-o)/i)+1,d=Math.ceil((c-l)/i)+1,p=new Float32Array(u*d*n);for(let e=0;e<p.length;e++)p[e]=this.#he(t,r,s);const f=(e,t,a)=>p[(t*u+e)*n+a],m=a.interpolation||"nearest";return(e,t,a)=>{const n=(e-o)/i,r=(t-l)/i,s=Math.floor(n),h=Math.floor(r);if("nearest"===m)return f(s,h,a);let c=n-s,u=r-h;"smooth"===m&&(c=c*c*(3-2*c),u=u*u*(3-2*u));const d=f(s,h,a)*(1-c)+f(s+1,h,a)*c,p=f(s,h+1,a)*(1-c)+f(s+1,h+1,a)*c;return Math.round(d*(1-u)+p*u)}}#he(e,t,a){let n;switch(t){case"gaussian":{const t=1-a(),r=a();n=Math.sqrt(-2*Math.log(t))*Math.cos(2*Math.PI*r)*e/3;break}case"triangular":n=(a()+a()-1)*e;break;case"poisson":{const t=P5Grain.#ce,r=Math.exp(-t);let s=0,i=a();for(;i>r;)s++,i*=a();n=(s-t)/Math.sqrt(t)*e/3;break}default:return this.#ue(-e,e,a)}return Math.min(Math.max(Math.round(n),-e),e)}#V(e){return e<0?0:e>255?255:e}#U(e,t,a){const n="number"==typeof a.frame?a.frame:null;let r="number"==typeof a.seed?a.seed:null;if(null===r&&null===n)return this.#e;if(null===r){const a=this.#I(this.#f,t.ref,(()=>({})));"number"!=typeof a[e]&&(a[e]=Math.floor(4294967296*this.#e())),r=a[e]}return this.#K(r+Math.imul(n||0,2654435761))}#H(e,t,a,n){if(n<1)return;const r=new Float32Array(e.length);for(let s=0;s<3;s++)this.#de(e,r,t,a,1,t,n),this.#de(r,e,a,t,t,1,n)}#de(e,t,a,n,r,s,i){const o=2*i+1;for(let l=0;l<n;l++){const n=l*s,h=t=>e[n+Math.min(Math.max(t,0),a-1)*r];let c=0;for(let e=-i;e<=i;e++)c+=h(e);for(let e=0;e<a;e++)t[n+e*r]=c/o,c+=h(e+i+1)-h(e-i)}}#X(e){let t=new Uint16Array([0]);for(let a=1;a<e;a*=2){const e=new Uint16Array(4*a*a);for(let n=0;n<a;n++)for(let r=0;r<a;r++){const s=4*t[n*a+r];e[2*n*a+r]=s,e[2*n*a+r+a]=s+2,e[2*(n+a)*a+r]=s+3,e[2*(n+a)*a+r+a]=s+1}t=e}return t}#Y(){if(P5Grain.#pe)return P5Grain.#pe;const e="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",t=P5Grain.#fe.join(""),a=new Uint16Array(t.length/2);for(let n=0;n<a.length;n++)a[n]=64*e.indexOf(t[2*n])+e.indexOf(t[2*n+1]);return P5Grain.#pe=a,a}#I(e,t,a){let n=e.get(t);return n||(n=a(),e.set(t,n)),n}#W(e){const t=this.#s[e]||0;this.#s[e]=t+1;const a=`${e}:${t}`,n={x:0,y:0,rotation:0,scale:1,...this.#i[a]};return delete this.#i[a],this.#r.set(a,n),n}#L(e,t,a){const n=t&&t.motion?t.motion:"shift",r=t&&t.atFrame?Math.round(t.atFrame):2,s=t&&t.interval?t.interval:0,i=t&&"number"==typeof t.frame?t.frame:null,o=t&&t.amount?Math.round(t.amount):P5Grain.#me[n]||Math.min(a.width,a.height),l=t&&t.anchor?t.anchor.x:0,h=t&&t.anchor?t.anchor.y:0,c=null!==i||s>0,u=c||null!==this.#a;let d;null!==i?d=i/r:s?d=a.pInst.millis()/s:(e.calls=(e.calls||0)+1,d=e.calls/r),"number"==typeof e.seed||!u&&"wander"!==n||(e.seed=Math.floor(4294967296*this.#e()));const p=t&&"number"==typeof t.seed?t.seed:e.seed,f=Math.floor(d);"number"==typeof e.step||c||(e.step=0);const m=f!==e.step;e.step=f;const g=u?this.#K(p+Math.imul(f,2654435761)):this.#e;switch(n){case"drift":{const a=t&&void 0!==t.velocity?t.velocity:1,n="number"==typeof a?a:a.x,r="number"==typeof a?a:a.y;e.x=l+n*d,e.y=h+r*d;break}case"wander":{const a=t&&t.smoothing?t.smoothing:30;e.x=l+(2*this.#ge(1759714724^p,d/a)-1)*o,e.y=h+(2*this.#ge(3039394381^p,d/a)-1)*o;break}case"jitter":m&&(e.x=l+(2*g()-1)*o,e.y=h+(2*g()-1)*o);break;default:m&&(e.x=Math.floor(g()*o),e.y=Math.floor(g()*o))}return m&&(e.rotation=t&&t.rotation?(2*g()-1)*t.rotation:0,e.scale=t&&t.scale?1+(2*g()-1)*t.scale:1),m||"drift"===n||"wander"===n}#ge(e,t){const a=Math.floor(t),n=t-a,r=this.#K(e+Math.imul(a,2654435761))();return r+(this.#K(e+Math.imul(a+1,2654435761))()-r)*n*n*(3-2*n)}#_(e){const t=e&&e.type?e.type:"turbulence",a=e&&void 0!==e.baseFrequency?e.baseFrequency:1,n=e&&e.numOctaves?Math.round(e.numOctaves):1,r=e&&"number"==typeof e.seed?e.seed:0,s=e&&e.size?e.size:128,i="p5grain-texture-filter-"+P5Grain.#ye++,o={id:i,x:0,y:0,width:"100%",height:"100%"},l={type:t,baseFrequency:a,numOctaves:n,seed:r},h={x:0,y:0,width:"100%",height:"100%",filter:`url(#${i})`};let c;if(e&&e.urlEncoded){const e=e=>Object.entries(e).map((([e,t])=>`${e}='${t}'`)).join(" "),t=`<svg xmlns='http://www.w3.org/2000/svg'><filter ${e(o)}><feTurbulence ${e(l)}></feTurbulence></filter><rect ${e(h)} /></svg>`;c=document.createElement("div"),c.style.backgroundImage=`url("data:image/svg+xml,${encodeURIComponent(t)}")`,c.style.backgroundRepeat="repeat repeat",c.style.backgroundSize=`${s}px ${s}px`,c.style.mixBlendMode="multiply"}else{const e=(e,t)=>{const a=document.createElementNS("http://www.w3.org/2000/svg",e);for(const[e,n]of Object.entries(t))a.setAttribute(e,n);return a};c=e("svg",{});const t=e("filter",o);t.appendChild(e("feTurbulence",l)),c.appendChild(t),c.appendChild(e("rect",h))}return c}#S(e,t,a,n){const r=a&&"object"==typeof a?a:{alpha:a},s=r.chunkSize?Math.max(Math.round(r.chunkSize),1):64,i=this.#x(n,r.region);i.loadPixels();const o=[];for(let e=i.y0;e<i.y1;e+=s)o.push({y0:e,y1:Math.min(e+s,i.y1),seed:Math.floor(4294967296*this.#e())});const l=i.pixels.slice(),h=this.#m.get(i.ref)||0,c=i.pInst.frameCount;return new Promise(((a,n)=>{const s=URL.createObjectURL(new Blob([`(${P5Grain.#Me})(${P5Grain.#ie});`],{type:"text/javascript"})),u=new Worker(s),d=()=>{u.terminate(),URL.revokeObjectURL(s)};u.onmessage=e=>{if("progress"===e.data.type)return void(r.progress&&r.progress(e.data.progress));d();(this.#m.get(i.ref)||0)!==h||!i.isGraphics&&i.pInst.frameCount!==c||i.ref.width!==i.width||i.ref.height!==i.height||i.ref.pixelDensity()!==i.density?n(new Error("[p5.grain] The canvas has changed while granulating asynchronously. The result has been discarded.")):(i.pixels.set(e.data.pixels),i.updatePixels(),a(e.data.pixels))},u.onerror=e=>{d(),n(e)},u.postMessage({pixels:l,pixelWidth:i.pixelWidth,x0:i.x0,x1:i.x1,chunks:o,amount:Math.round(t),alpha:r.alpha||!1,channels:e,distribution:r.distribution||"uniform",poissonMean:P5Grain.#ce},[l.buffer])}))}#O(e,t,a){const{tW:n,tH:r,reflect:s,offsetX:i,offsetY:o,rotation:l,scale:h,opacity:c,maskWeight:u}=a,d=P5Grain.#xe[a.mode],p="copy"===a.mode,f="lighter"===a.mode;t.loadPixels();const m=t instanceof p5.Graphics?t.pixelDensity():1,g=Math.floor(t.width*m),y=Math.floor(t.height*m),M=t.pixels,x=s?2*n:n,b=s?2*r:r,{density:w,width:v,height:S}=e,P=0!==l||1!==h,k=Math.cos(l)/h,G=Math.sin(l)/h;e.loadPixels();const A=e.pixels;this.#P(e,((e,t,a)=>{const s=u?c*u(t,a):c;if(s<=0)return;let l=(t+.5)/w,h=(a+.5)/w;if(P){const e=l-v/2,t=h-S/2;l=v/2+k*e+G*t,h=S/2-G*e+k*t}let m=((l-i)%x+x)%x,C=((h-o)%b+b)%b;m>=n&&(m=x-m),C>=r&&(C=b-C);const R=Math.min(Math.floor(m/n*g),g-1),T=4*(Math.min(Math.floor(C/r*y),y-1)*g+R);if(p){for(let t=0;t<4;t++)A[e+t]+=(M[T+t]-A[e+t])*s;return}const E=M[T+3]/255*s,I=A[e+3]/255;if(f){const t=Math.min(1,E+I);if(0===t)return;for(let a=0;a<3;a++)A[e+a]=255*Math.min(1,(E*M[T+a]+I*A[e+a])/255)/t;return void(A[e+3]=255*t)}const W=E+I*(1-E);if(0!==W){for(let t=0;t<3;t++){const a=A[e+t]/255,n=M[T+t]/255;A[e+t]=255*(E*(1-I)*n+E*I*d(a,n)+(1-E)*I*a)/W}A[e+3]=255*W}})),e.updatePixels()}#ae(e){return new Promise(((t,a)=>{const n=new Image;n.crossOrigin="anonymous",n.onload=()=>t(n),n.onerror=()=>a(new Error(`[p5.grain] The image ${e.slice(0,64)} could not be loaded. Images from other origins must be served with CORS headers.`)),n.src=e}))}#F(e,t){const a=e.querySelector("feTurbulence");if(a)return void a.setAttribute("seed",t);const n=e.style.backgroundImage||window.getComputedStyle(e).backgroundImage;if(n&&n.includes("feTurbulence")){const a=/(seed(?:=|%3D))('|"|%27|%22)(.*?)\2/i;if(a.test(n))e.style.backgroundImage=n.replace(a,`$1$2${t}$2`);else{const a=n.includes("%3D");e.style.backgroundImage=n.replace("feTurbulence",a?`feTurbulence%20seed%3D'${t}'`:`feTurbulence seed='${t}'`)}}}#j(e,t,a,n,r,s,i,o,l){let h=o,c=l,u=!0,d=!0;for(;c<i;){for(;h<s;){if(r?(e.push(),u?d?e.image(t,h,c,a,n):(e.scale(-1,1),e.image(t,-h,c,-a,n)):d?(e.scale(1,-1),e.image(t,h,-c,a,-n)):(e.scale(-1,-1),e.image(t,-h,-c,-a,-n)),e.pop()):e.image(t,h,c,a,n),h+=a,h>=s){d=!0,h=o,c+=n;break}d=!d}u=!u}}#N(e,t,a,n,r,s=0,i=0){const o=[a,n,r,s,i,e.width,e.height,e.density].join("|");this.#c.has(t)||this.#c.set(t,new WeakMap);const l=this.#c.get(t),h=l.get(e.ref);if(h&&h.key===o)return h.layer;h&&(h.layer.remove(),this.#u.delete(h.layer));const c=r?2*a:a,u=r?2*n:n,d=Math.ceil(e.width+2*s+c),p=Math.ceil(e.height+2*i+u),f=e.pInst.createGraphics(d,p);return f.pixelDensity(e.density),this.#j(f,t,a,n,r,d,p,0,0),l.set(e.ref,{key:o,layer:f}),this.#u.add(f),f}#M(e,t){if(null===this.#a)return void(this.#e=this.#t);const a=t&&"object"==typeof t&&"string"==typeof t.stream?`stream:${t.stream}`:e,n=this.#n[a]||0;this.#n[a]=n+1;let r=(2166136261^this.#a)>>>0;for(let e=0;e<a.length;e++)r=Math.imul(r^a.charCodeAt(e),16777619);r=Math.imul(r^n,2654435761),r=Math.imul(r^r>>>16,2246822507),r^=r>>>13,this.#e=this.#K(r)}#K(e){let t=e>>>0;return()=>{t=t+1831565813>>>0;let e=t;return e=Math.imul(e^e>>>15,1|e),e^=e+Math.imul(e^e>>>7,61|e),((e^e>>>14)>>>0)/4294967296}}#Q(e,t,a,n,r,s,i){const o=new Float32Array(t*a),l=e=>e*e*e*(e*(6*e-15)+10);let h=1,c=0;for(let u=0;u<s;u++){const s=n*2**u,d=r*2**u,p=new Float32Array(s*d);for(let t=0;t<p.length;t++)p[t]=i?e():2*e()*Math.PI;const f=(e,t,a,n)=>{const r=p[t%d*s+e%s];return i?r:.5+(Math.cos(r)*a+Math.sin(r)*n)*Math.SQRT1_2};for(let e=0;e<a;e++){const n=e*d/a,r=Math.floor(n),i=n-r,c=l(i);for(let a=0;a<t;a++){const n=a*s/t,u=Math.floor(n),d=n-u,p=l(d),m=f(u,r,d,i)*(1-p)+f(u+1,r,d-1,i)*p,g=f(u,r+1,d,i-1)*(1-p)+f(u+1,r+1,d-1,i-1)*p;o[e*t+a]+=(m*(1-c)+g*c)*h}}c+=h,h/=2}for(let e=0;e<o.length;e++)o[e]/=c;return o}#J(e,t,a,n,r,s){const i=this.#Q(e,t,a,n,r,s);for(let e=0;e<i.length;e++)i[e]=.75+.3*(i[e]-.5);const o=Math.round(t*a/150);for(let n=0;n<o;n++){const n=4+20*e(),r=e()*Math.PI,s=.2*(e()-.5),o=Math.cos(r),l=Math.sin(r);let h=e()*t,c=e()*a;for(let e=0;e<n;e++){const e=(Math.floor(h)%t+t)%t;i[(Math.floor(c)%a+a)%a*t+e]+=s,h+=o,c+=l}}return i}#Z(e,t,a,n,r){const s=this.#Q(e,t,a,4*n,4*r,2,!0),i=2*n,o=2*r;for(let e=0;e<a;e++){const n=e*o/a,r=Math.floor(n);for(let a=0;a<t;a++){const o=a*i/t,l=Math.floor(o),h=(r+l)%2==0?Math.sin((n-r)*Math.PI):Math.sin((o-l)*Math.PI),c=e*t+a;s[c]=.55+.35*h+.2*(s[c]-.5)}}return s}#$(e,t,a,n,r,s){const i=this.#Q(e,n,r,2,2,s),o=new Float32Array(t*a),l=t/n,h=a/r;for(let e=0;e<a;e++){const a=Math.floor(e/h),r=(e-(a+.5)*h)/h;for(let s=0;s<t;s++){const c=Math.floor(s/l),u=(s-(c+.5)*l)/l,d=i[a*n+c]*Math.SQRT1_2,p=Math.sqrt(u*u+r*r),f=Math.min(Math.max((p-d)*Math.min(l,h)+.5,0),1);o[e*t+s]=f}}return o}#ue(e,t,a=this.#e){return e=Math.ceil(e),t=Math.floor(t),Math.floor(a()*(t-e+1)+e)}#y(){if("undefined"!=typeof p5&&(P5Grain.#be=this,!P5Grain.#we)){P5Grain.#we=!0;for(const e in P5Grain.#ve)this.#Se(p5.prototype,e),this.#Se(p5.Graphics.prototype,e)}}#Pe(e){if(!this.#p||!this.#p.enabled)return;(this.instanceMode?this.instanceRef:p5.instance)===e&&this.#p.stack.forEach((e=>{"function"==typeof e?e():"textureOverlay"===e.method?this.textureOverlay(e.textureImage,e.config):"granulateShader"===e.method?this.granulateShader(e.amount,e.config):this[e.method](e.config)}))}#Se(e,t){const a=P5Grain.#ve[t],n=e===p5.Graphics.prototype;if(void 0!==e[t])return;const r=a.indexOf("pg");e[t]=function(...e){const a=n?this._pInst:this,s=a&&a.p5grain instanceof P5Grain?a.p5grain:P5Grain.#be;return n&&-1!==r&&((e=e.slice(0,r))[r]=this),s[t](...e)}}#T(){if(void 0===this.#g)try{const e=document.createElement("canvas");this.#g=!(!window.WebGLRenderingContext||!e.getContext("webgl")&&!e.getContext("experimental-webgl"))}catch(e){this.#g=!1}return this.#g}#E(e,t,a,n){let r=this.#h.buffer;return r&&r.width===t&&r.height===a&&r.pixelDensity()===n||(r&&r.remove(),r=e.createGraphics(t,a,e.WEBGL),r.pixelDensity(n),this.#h.buffer=r,this.#h.shader=r.createShader(P5Grain.#ke,P5Grain.#Ge)),r}static#ve={granulateSimple:["amount","config","pg"],granulateChannels:["amount","config","pg"],granulateFilm:["amount","config","pg"],granulateChroma:["amount","config","pg"],granulateSimpleAsync:["amount","config","pg"],granulateChannelsAsync:["amount","config","pg"],granulateShader:["amount","config","pg"],tinkerPixels:["callback","shouldUpdate","pg"],textureOverlay:["textureImage","config","pg"],textureAnimate:["textureElement","config"],vignette:["config","pg"],dustAndScratches:["config","pg"],lightLeak:["config","pg"],halation:["config","pg"],dither:["config","pg"]};static#Ae=["value","perlin","fractal","paper","canvas","halftone"];static#Ce=["turbulence","fractalNoise"];static#ye=0;static#ee={"source-over":"normal",copy:"normal",lighter:"plus-lighter"};static#xe={"source-over":(e,t)=>t,normal:(e,t)=>t,copy:(e,t)=>t,darken:(e,t)=>Math.min(e,t),lighten:(e,t)=>Math.max(e,t),difference:(e,t)=>Math.abs(e-t),multiply:(e,t)=>e*t,exclusion:(e,t)=>e+t-2*e*t,screen:(e,t)=>e+t-e*t,overlay:(e,t)=>e<=.5?2*e*t:1-2*(1-e)*(1-t),"hard-light":(e,t)=>t<=.5?2*e*t:1-2*(1-e)*(1-t),"soft-light":(e,t)=>{if(t<=.5)return e-(1-2*t)*e*(1-e);return e+(2*t-1)*((e<=.25?((16*e-12)*e+4)*e:Math.sqrt(e))-e)},"color-dodge":(e,t)=>0===e?0:1===t?1:Math.min(1,e/(1-t)),"color-burn":(e,t)=>1===e?1:0===t?0:1-Math.min(1,(1-e)/t),lighter:null};static#te={normal:"source-over","plus-lighter":"lighter"};static#Re=["shift","drift","wander","jitter"];static#me={wander:50,jitter:4};static#re={linear:()=>1,midtone:e=>4*e*(1-e),shadows:e=>1-e,highlights:e=>e};static#Te=["uniform","gaussian","triangular","poisson"];static#ce=9;static#Ee=["nearest","bilinear","smooth"];static#q={"floyd-steinberg":[[1,0,7/16],[-1,1,3/16],[0,1,5/16],[1,1,1/16]],atkinson:[[1,0,1/8],[2,0,1/8],[-1,1,1/8],[0,1,1/8],[1,1,1/8],[0,2,1/8]],jarvis:[[1,0,7/48],[2,0,5/48],[-2,1,3/48],[-1,1,5/48],[0,1,7/48],[1,1,5/48],[2,1,3/48],[-2,2,1/48],[-1,2,3/48],[0,2,5/48],[1,2,3/48],[2,2,1/48]]};static#fe=["A9vbfy1lC7bE+FFZ3gPEiFss7nlWvzVk9xj0x375Aa5yM3uSYWyQA7laxFgFzpKIWee5wiLcubja6lcYSnIzaPP2hrK53Cf2Oy/6jC4qFG8Ku7b45MULC3eYW+wNap01","qvTL5jPonhxjTRfoyYCda7GtfuPnBr0KZ7F9OfotS5lSgIDe+lhGNoskF+5HZJtiPY1DA1bsRbH6x7Mz1rtm54oiBbrgTEmQDWbbVMvoZSJUoMPcG/ibrpzeNipERDgj","K+lLb6Je8BilNXrNYtnC5zzMV/3xnZMJh64ld3vMKiybVm1pQ0n/Zn9JTaMTkv+3GWqE6Jl3/NfjXCozCNepGPW2w7+HYxy467JF1fNWfh2jUwyj+NLga24sF19PDx4Q","WA+pEZt1YFAl48Ho9cLqSlqPKDbYuE7ySRsHILWZ/JEhq0dGFy3iJVx0ekqZBlcrTChnX/NrvmDq3Xio98To0TkBL8eEE0NmiOtImmEKsBkZDIdQmvuARkl2VUiQc0u+","HSyVfa25SapjcJvdVej2wDBB/XhIHfYGDDzGmzb+0/icLs7JvlVPjLDG7WW31iul4DJLyEFRVKryQFJkaerWIQ5YRm1vprvvW8RSdH+eP96nKX3yXNB68OIZxC1jMYnn","ZlQ7q+L0kQzuPig4DN1ueVPWmcTH0ApZgG9oOHBRszQqZhk2OqpbcBuWQemJItOkjuaC8MnN14bd8foByLO4fNtyaHG+ga8QAy41IIxHWGbNwGh7QQyNfzY+qjA0Tq6Z","jQCF70bADv/fJX4ZscIMY85pxEFp4ILAQ3aEkd4dU38/Ha1bA3/oKw4VFC0Lf/+EE7sOP4e+KcjNAUXeFS7sllBT/pnKUVLecXzUo6hTCTpwN0G3qr57L4k/PU/+cOtX","OEzqmtUdv8e6Ywm2S/+Dp/L3WRjybpue60GivnJigTnmx4eWrwTehRXTrMbiSepYWh2tB/u1TY5dxGfx1OUjLQX1wmOp23s8klX3NATp8b1qky/MT7b1D43nvwhjFE3D","X4eoG033LYrhFWzbNpbzixE3tS88BWUvhqp0Tj0pbeCkPQXp44GEyBlmM57KAoxnLPlna9/qGnq7LwQ1kbuJ6KpHd+EkhyH9+oDo3otYKFd6YdAh00m/tQXGHWSrpWJ7","u0+tqwPeiH8nWtjv5CAcyI3kPre1onMq1IC4/BN9rX7rvuJWjfbrQJ87HOu9ivYz6SRAzlhwVwlTaX+XH4cWDVRh0W7+WQxfSSnlayjME1xwREt2gYI8Qu9meyxz7tke","QyAHchVv10CJRQuBJTgETbmlZNH0xd5lYOeAlhXKFehBS3og+TznCss5erUD2GI5rIfcDMN445wLD52CsVOG4LjOJubIrLMVee6QPd09WD52oqMR8DamzJmLMhaFDpVV","zg5Gk1Iawamsc77cpLYa8JK/t6/vR+jSE9vDJ6yU4tZY2pEeNBUxnvYK5cNsobc6FF8It+orIrd9SXoUW/f9x1VIu2Cykz2OA+uNFrqALXgLDBUg3MFuhmBM5osC2agD","HRNUs/9eaUMk0aGsPhv7ES1dhVCvcarRPV78oVRsjbIvtNc/vNhb3JJbkSDm9gPyzWXgRzaKyM9qMsi7CS8qGcng/GPZ5aTyh+Yf9FdPw++imYvZYmpGPwwVWHJNO+oK","wFXcgtS0DdrnhKWi3Ki6cwO8VloF46LE2UU7cNBf8yPCmjV97zAZQ8wna6sQV5vglPKH18irAzVAsq3YvkRrbhLIfQYRomIWywL1lFGfSfZrIPfCNdz6/ddLqdiT+JbM","6kEMn2yf5kQW++BtnGKU9Uqsz0IhZfwlhEGpztqYeqwzDc0OKapzen/wGA1nh9BGd4+0Fdnq6We2G2ZeKbhO6Ork1FENugdF7BqgVS4hpQOOyO7jCHjrJhStFXzaB+Rx","eh1hLVb/H3l8Ynx/SktZZUCPig+BSIAYm5XQ+1LuTt4Ba4h3SC4gXmNcmyKfSM5QM1s0blQhLM0kkx7fpKz3AXUUONkE9LRqC8PAvsgzAL2vizTgr2X66hnI31Xksulg","OYrqVW39iGwHLCd/3zHK6BUTN2sve/6yuLOxjVu5HjnONR+glvE5rx0IgJ7hZ+xto8Tc4OwXqSX2SdEmPDXXmAvf4iHdWXh22qbSIm/Rc8tKFYbj2THMu3cLNxgS8hHx","Zy/xBJqHS7Eb6toEORjjcTxkmfFfzSMScj3FDEZ07dWktRGzVEwMcoBjUztoEcjZH+YVCggZHe/7yxr7dB94FmfZaappy/Kns1lUzwWfLxRi8unkOahfR1A8weJpUuyt","kgv2fWNn9HZxswUbAm0bq8KO8VaYVFpNINS9qpgwzXA43dft1YLZ9kQgoZ2DNj9vet0Q8alYO7cEB0hk3QJlxcR2L5//BUZA76SqCeq/kFwcYsKCzB+6p+5PjH2YpcEr","ROIsXJy+kRJ+2Qhg/aXlF/SFgq1tDK/Tkw53w0JdPglDbaQ+ohYpkG32JcdSVxmoQDt3LlWB3anTvWNaUioWit6stkjxQzopecHs56fi13EO5fghDJdJV1FnYkPbc97G","guo02hFTr0dcD/QctxdT5vlVvhOQsGfwYJEWduVZ+qrsKN8FCRs9F7gOxXDhrm3qAWcQpxExyPSGIj83ax0hCAW6Ghc2yK3NNbv1U9J2ZzQHqhUAt4L+xyoO9yuIB50c","M7+Mb9R56zVbyXm7I1NeykCKZaJH35Q5ymMXmg0gFbYUwdhx0tOs6rTXZp/chSKLx5TG5Lh5aS6oj+sWFLQGefpv3wK2VcFIi39KnsuK4nmNIb8kiu4FRBIBgQLkmbWp","Gqs2AKmiKpiK9zZH4Sg9p3U59SnVc1AtrA9aRgp4fk6LTDHUdMWFy7pmMBvIQrYi7DlOJCuhNtBNWcde4PuP+sNHwbk796soYuDPcdOlB3ebxBYCAfbql06mUR15bgwA","5WiSWM4WxSOnCcujFlRL6xIXf70ETl7NhlHmat2ZBaOMmFrO+Qj1I+CqmB21GXqUdxEGXD9begq4z8Lzk5VnH8haZTAAPlfs2gSVyZkY+ZTO2iNFpf0eE4Z/rGDU8rRy","dEOTvFG8aQq2T8ev2Al4bXtGPOF0u6MrXAxhkVLBttZ83tEBMgaLt08LbxVGii8xMuxN1WQTlsHT+dSmCoo32HRX7wrDy0H/okLh7RGxXqsKFtj9/jTut/MQy5jsJPpS","Dwnb1gfb86lG5+Inr3WKBAyy/hlXaf28oTCr5mUq/riawyVBzd4pR/gXOByuBPtwTxnHgxC+3bavvxgC7CvEboDzmdUXci6gXvuwd0paKzgrvqRJdlIlht9XQteTXn0u","/yVXKhS2BzMfYvyRO58eLoiEXZD6sdIUeJRMr9f0GHQpI7d5oJAJlIHQ3hofKsas4MIGZMshVYOvmuJ0YlN1jIzxLG42EaOSj8BOU44by1az7eCD4ow9Y2oDBe58vYNk","a3jX5FtWn30Dg3EnkPctqa24QnfX5XU1+az+L/ZW02p66wthO2YX/Lv+XFdq91jnQawS/iL77VylApsF47G4/kWWtzeOxqn9/K0RP6i+DuNQmkWJqfOrGG3HVhlBHDrz","A2yiH1dIWu/CRYt93pT3DSwUJanzyqNhjAEVl68dA/ktWUEy1we0KjqWDXSK0NFxqFB8dYknGZhzby0PUkfJo/PkFsi4TAJ/aIgeIYsT+SSo2cI4jD0YcstDLOx6QCgc","36pVQx6vD1K7pdZbJj9+l9Zo7TTdADcqwEYDuDSYyTcGN69MlzyJQOhv7isxMjfS5/Xr2PRaquXS4CQdleDRwo2bao9Zsr3VDTvQ49W9n5dtuZZE9NDQSuhD+Yak63Tv","I3YhiWwBlu2EfKArzPgROdHCsSik9pqXIA6/Ktg0Gm3viRJGaBCa51VoIdlbaDvCTfmPJxuq6aNCEYraLN8mXtJEmpAuOwXzp7RuedMWGB0JBkPFemnw4eHupBCzjltg","eS+vE+MNbLP1vP6XS8qnxQdU1TLtZPQM2yVCoHZdtJRWpyw2Tksjnxc4xA3eAq85G60Bg8Clcbly/Ado1UihRGui6TgyzmlQ7xFNya8pabjg7QqlxVK4VquzOcXhz9M/","2oVJxuqz9OWnG7j3MKX8EX6pVzCxyClqfFBo0f9GMe59BxeK+WM62sD+O6UOi8NYpnP093WqycTSHwvVZZBqpTcZNKU0HzczLLijooUKtaJSSHXaEw/ekU1XeD7XGynE","BukJPffVC/2/pCbv+50rm0QlgWpg5OF6ufOUiXEvdjlJXU1QFhjwYTgm/zsRYLy2e8awsLLT38pkhWNfUF7ozRGV2zq6/PvAWz2IPMATfO12mr5IhFNybHAgq3R9vXaZ","r/6NIS0qlMR0KSt7Bsh1J8u/99MpcFUG/lYoqyxUUmzTKxm+RpvSI9zOGNmTJZ74DH2mF8j6QoAexJ5BsIJvkhXEf8CWmVOeEP6eZuwu+/M+GLccuH0dT45bKgiq+LOF","y3ShdNXdtP8EgHzsQBaR27UsGjkmw6IojT29KEQN+OGutB8NbQ5qq9Tr6qbWvHRtm3UrwQZg6+fLYPEzmhe4P89nwxSPary8ezrBIelrUtrSzLRICIpoITmax8YQD7gp","KAo4+jAONJadFVV75VqtEHd8r4Xj1+QYs3DkcxnihoZtOjgUASNMiwdfPKBYhh5NMmfr/WJml5z/OD+ual2RDgslLi4UHZ8Rj4Sx1GdCDjidZX8vjkV492b3PLqI1sU8","ljFAuXhi1MoRw3jFMMmK9DypOW7bAdfp8gWSwf69CU3/pM0nWrw4Eu3rp2yHV6Hc04pFB4t5UEGYqCTZIgxlV+cUoAglunWYB1MH9wtAPp6cI6vLMn2Ff5Cn62Hgdz8A","aq3ZViQK50JsTU/bCCXoRTimFkoaaVmUMOp8SJJOXPupGCSplC+9n1YHLf+IkrtpcMXiQk2+dW8ov5i94co9NT5xAET+KVqk3snfYNHBziWbnjdrEoqoQ6u4kqSvsUNP","iPwTH5dglxDnsteP0yusbwJf4rvtR3zoHI4vjB0imSe7L97PdVJRRN08F3eQSDCp9EKkrujoMvX5BFPabZEghUvclZ/00mbug2QRvyeUjqA63IS46DYZzvK1Xb4azYCQ","/8OZn489W7zDaMLRnLHF79reWCeiDt+UX0dvBIOL/ZTi1yriELuaanhurT6HM0n0wkhC4mEJxonyfY7FtqU29VRFGTZqOoDs7LFw11LH9dsiNuwZjGHyna+VeZGSnAYy","T50wBZtLMbie65Rc3OgMPPlwzcMdkCrCPvx+rtY3wWDOZ1jWPSy69RBLUHvrY916TWHXaiU+7mHlz5LJlR1PI2eNzfq1iAxOmGVdbRocSBZwgAED84bCPRAIi/QLucJ9","pha+hNRo2LGlpIAkWxwgDiUaGR6bbB2lIqin73GFhXpAJI5DUplcLao130IOjmFDfG8Pl/tsPscgrPSgCZZRpt4GWIK85iSzJg+RuVCY5rHi2KqMT1uQ3PpUx97EcH4+","ICwCFo7OceVDud+kkobU8+2JhYsyS6CwolUZLd1oQS8stnfeCf7AXufTOubn/sr8P5zFMCBwiy2NWl+AiMwPO0Dlkku8BQZGsDeaOIh/xLmOWEMwiVJrdyWoLbTnChje","P+9YWgkcxvKmeCOzHhs6MFoxZcJw/mxTfR55aGnBdaV0M81abPrQGkuC0zm8TzAN37XMpDwr82KGEtncLy5gfP+bSAcK7lnd0UFQ3AUCKPdd/nyrBm7pwsER/Dg5sE2M","e3nMMAsADf6Aisyn4XSTfqBSyzQil1YEN+z2HGuRB7xWFznSPqzjTK9lC2LDxseGkfHrb5SOfHYeva0vbcUSF2oPydMtg/IKQfkNYr8WrVD0PjsaX+mZQIrbZD0MNVXy","4RBDzQQ/Z5n+T2CLZBm41eWd7YdsFKvJACqOQ9+7f+34Y79/g1JJk8auh4Ws7us+L2+h0CDC4zqTQvhMARtC2WYbHEsY1VWV/QwJAjnJzCagka4xfMGI6IjEIynYEstl","Job2/Vg73RIF8lrZLj/HFqvjI0rK4jiL81cVkXVQMLliSjseAi4NwqNL5KoQGaQwYYqbhcOAmDG92nMZ/4jJK6mC9BTwCiqVcCJzfgRfLm2rFJTVKez1bFT03UdK8ZTB","mWwOUPFHtcNgdmxIj/btQEgsmXM2TsHkWa1/JQ68rJGg1NLSc+W5o5E8SU1Ccnwt6CFgThuo9sV8dhuxYARwxPclOPgB5hlNN84KtM6jXWhLvio++ms4NIv0AsPmxrhP","7SOgqBZFkM06WTRUEE0xsXVO9faj2ftdOhoXDYd7v3aJiZ7kvpQb/UfdsnKBi5C5med21LZILFjUDy5UpeGQ72Bn20uFY6E2yAT9GdkDCj8SM9cuXwCunDfv95qQYIFa","bGCV2xKq9CAVgg7qpXK043ByyGGUk0d10XZCxgR74wBvPNpiHbksC9yeY59AUh3fPtKR7aAwsJy9PultJ4f6rlXLk6H7RZ9uejn607a8sPSwz7HHkuRd2dV3Ipk3MI1c","sNjheHveQPoezAH2aTjKPTfDn7Rl6fBEKd/SjpMcnXXIzyfEUQ40b8MlnFFjvKZmqLxYiJoNcf8UUf1BbD6MTF0oLryoi1spKrYBPG+zJKnefm4/uv7gFPyDcI6PuyUe","+rQ4G15AVrcSMyuT26Vf+wumJMYqq5gvVLrjEIf18ctrE/+CLprd05Vy6EO9k9Bc/5S1GrWPNvHngbCXsmNZEFoSdp6Ua/Av5Jv4DaiCvOW1ABPHZ2goMxrFSNC1gkIH","zNYcmqr5D2/1iNSQCMqeFObV0S8zN7v64AQ2zZZvI/SikAa0wKBdiDG5qxfn2wcvMDf403tO6FwjpJ/FVgw5hA9QP3GJVHp1QVlH2VcPNS6i0sqcIwnpXf/2jz3SPBov","Ax7HMPffxxJDl75ReLzHNEj5SsF5mHDLcRlEGb6YpR1ANq4EW0n8Rv+yw8TmJqv94knRY4B9kLSEZ6KZjc4JZiIVtulkxK/3gKIkUM8CEfk4dwUn8j1xBivUKvZQxDdk","KQi02uRVZ31zWjGenrYS71sZ3leRxeYM+PLKuOUYeMAGrrgiGD7ZelLWahDZo7WLETP/90Kl3WfBEq1ZQsAFqmUJ1SYjEQMo1EZ4tUouR6ySKMteFii2TTeBpPF49WV2","vRT6sgDFpONOtv9IP7JYgfBVWwK96VQUqKhZ3LOVl+/gVaKWyFPItT3TkW0j9Tbktfh8xZcyO/sb8GmnvGeI+GNNiU7vfUSZm6BhzEHNhQY14fQZcmzVNl7MygR4g6nt","0lFM+cc35wheA5dip93GurQjoYhss7HqVpCmZkxbFcbJuG4ulfcDCBXRIRRCgdND5ZGOTQpqGwzhUBMaX7HvnQwYC6Kypu4YWy8tdOOi/IqNBKmR+KqDW4IDjiCb5SOK","esXxkjJ1VRwhR8z4VtEUbOys/tD82XdD0Z8TrEJ366RPipEdSy1kqq97nuxaAQrfVT0+lK80ZsjRCGg+yW3jbKTI5uc5zKGvuuKYk+2kVNJBxpaWL6EpuMbf2BrHZ9IJ","oj3mPJyvm9HP+xkOKJ8HldIiUWaAMEnWO1jdTPeuoCzkMU9rY/JAhHN3UIb761mMJyewBpMGrc3EWm/uqJEAOmkisMWOPxjta1ResfCtwIex7UjYUy0GgP9hK3U/v/9t","SbtjBg7IbTroNzZVvTgVOX4ytbkH8wxiBHukGM3+XHB2dRtEmxxM6dD9vB1RGoY0/YwvXO6GRHHVutJ5RjfA8XIu19BC+2w/EC6ugnXVnoN/ScD33unURKAboGOCifDb","KKdXjPUlFBf31HCE6RS+qRAPfIPzHJXYhJa5/EN5wpj73cU6DAPXeXXslALniBRntFOJosh0yheFmEac4TodwwYggNoLMie9nP1mLv9iGK3BuYpsdnHp64Zjxm5Eck2S","mwzI/9NGwR5nRRowdbHY0FZOw122oy5tQX1Km1Ixr6QmHA8iiI1JqiHt+fr14HcpEl17IEaNC09jOt0HAnVsM4EitVSW5eX9IcUNdAx2kIaOKo+4XBNwtHhdSLEjrvVu","ObZLHLqGWvkTKTuUWNmI+8LUT/E6dZKurYDrUcflZK0VcAo2JtTN5sbmO3UoCOoI8YkKTJ5TplVjFvr+iY+nlozr77b0FUt8zzp5AMQArUTMhpBXxRlp2eJn/OkpIf7/"];static#pe=null;static#oe={"color-negative":{curve:"midtone",chroma:.25},slide:{curve:"shadows",chroma:.1},"black-and-white":{curve:"midtone",chroma:0},pushed:{curve:"linear",chroma:.5}};static#le={rgb:{chromaChannels:3,apply(e,t,a){for(let n=0;n<3;n++)e[n]+=t+a(n)}},ycbcr:{chromaChannels:2,apply(e,t,a){const[n,r,s]=e,i=.299*n+.587*r+.114*s+t,o=-.168736*n-.331264*r+.5*s+a(0),l=.5*n-.418688*r-.081312*s+a(1);e[0]=i+1.402*l,e[1]=i-.344136*o-.714136*l,e[2]=i+1.772*o}},oklab:{chromaChannels:2,apply(e,t,a){const n=e=>(e/=255)<=.04045?e/12.92:Math.pow((e+.055)/1.055,2.4),r=e=>255*(e<=.0031308?12.92*e:1.055*Math.pow(Math.max(e,0),1/2.4)-.055),s=n(e[0]),i=n(e[1]),o=n(e[2]),l=Math.cbrt(.4122214708*s+.5363325363*i+.0514459929*o),h=Math.cbrt(.2119034982*s+.6806995451*i+.1073969566*o),c=Math.cbrt(.0883024619*s+.2817188376*i+.6299787005*o),u=.2104542553*l+.793617785*h-.0040720468*c+t/255,d=1.9779984951*l-2.428592205*h+.4505937099*c+a(0)/255,p=.0259040371*l+.7827717662*h-.808675766*c+a(1)/255,f=Math.pow(u+.3963377774*d+.2158037573*p,3),m=Math.pow(u-.1055613458*d-.0638541728*p,3),g=Math.pow(u-.0894841775*d-1.291485548*p,3);e[0]=r(4.0767416621*f-3.3077115913*m+.2309699292*g),e[1]=r(-1.2684380046*f+2.6097574011*m-.3413193965*g),e[2]=r(-.0041960863*f-.7034186147*m+1.707614701*g)}}};static#we=!1;static#be=null;static#A=["granulateSimple","granulateChannels","granulateFilm","granulateChroma"];static#R=new WeakSet;static#C=function(){const e=this.p5grain instanceof P5Grain?this.p5grain:P5Grain.#be;e&&e.#Pe(this)};static#ie=function(e,t,a,n,r,s,i,o,l){const h=l?4:3;for(let l=a;l<n;l++,t+=4){const a=i?i(t,l,r):1,n=o?0:Math.round(s(l,r,0)*a);for(let i=0;i<h;i++){const h=e[t+i]+(o?Math.round(s(l,r,i)*a):n);e[t+i]=h<0?0:h>255?255:h}}};static#Me=function(e){self.onmessage=t=>{const{pixels:a,pixelWidth:n,x0:r,x1:s,chunks:i,amount:o,alpha:l,channels:h,distribution:c,poissonMean:u}=t.data;i.forEach((({y0:t,y1:d,seed:p},f)=>{const m=(e=>{let t=e>>>0;return()=>{t=t+1831565813>>>0;let e=t;return e=Math.imul(e^e>>>15,1|e),e^=e+Math.imul(e^e>>>7,61|e),((e^e>>>14)>>>0)/4294967296}})(p),g=()=>{let e;switch(c){case"gaussian":e=Math.sqrt(-2*Math.log(1-m()))*Math.cos(2*Math.PI*m())*o/3;break;case"triangular":e=(m()+m()-1)*o;break;case"poisson":{const t=Math.exp(-u);let a=0,n=m();for(;n>t;)a++,n*=m();e=(a-u)/Math.sqrt(u)*o/3;break}default:return Math.floor(m()*(2*o+1))-o}return Math.min(Math.max(Math.round(e),-o),o)};for(let i=t;i<d;i++)e(a,4*(i*n+r),r,s,i,g,null,h,l);self.postMessage({type:"progress",progress:(f+1)/i.length})})),self.postMessage({type:"done",pixels:a},[a.buffer])}};static#ke="\n        precision highp float;\n        attribute vec3 aPosition;\n        attribute vec2 aTexCoord;\n        uniform mat4 uModelViewMatrix;\n        uniform mat4 uProjectionMatrix;\n        varying vec2 vTexCoord;\n        void main() {\n            vTexCoord = aTexCoord;\n            gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);\n        }\n    ";static#Ge="\n        precision highp float;\n        varying vec2 vTexCoord;\n        uniform sampler2D uTexture;\n        uniform float uAmount;\n        uniform float uSeed;\n        uniform bool uChannels;\n        uniform bool uAlpha;\n        float hash(vec2 coord, float channel) {\n            vec3 p = fract(vec3(coord, uSeed * 1000.0 + channel) * 0.1031);\n            p += dot(p, p.zyx + 31.32);\n            return fract((p.x + p.y) * p.z);\n        }\n        float grain(float channel) {\n            float r = hash(floor(gl_FragCoord.xy), channel);\n            return (floor(r * (2.0 * uAmount + 1.0)) - uAmount) / 255.0;\n        }\n        void main() {\n            vec4 color = texture2D(uTexture, vTexCoord);\n            vec4 amount;\n            if (uChannels) {\n                amount = vec4(grain(0.0), grain(1.0), grain(2.0), grain(3.0));\n            } else {\n                amount = vec4(grain(0.0));\n            }\n            if (!uAlpha) {\n                amount.a = 0.0;\n            }\n            gl_FragColor = clamp(color + amount, 0.0, 1.0);\n        }\n    "}
@@ -36,7 +36,7 @@ function draw() {
     fill(100, 100, 240);
     circle(cW, cH, cD);
 
-    // Animate SVG texture element, currently unsupported!
+    // Animate SVG texture element by changing the turbulence seed
     if (shouldAnimate) {
         p5grain.textureAnimate(textureElement);
     }
@@ -0,0 +1,62 @@
+const shouldAnimate = true;
+let textureElement;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    // Create SVG filter texture element covering the browser window
+    if (!textureElement) {
+        textureElement = p5grain.createSVGTexture({ baseFrequency: 0.8 });
+
+        // URL-encoded SVG as background image
+        // textureElement = p5grain.createSVGTexture({
+        //     baseFrequency: 0.8,
+        //     urlEncoded: true,
+        // });
+    }
+
+    if (!shouldAnimate) noLoop();
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Animate SVG texture element by changing the turbulence seed
+    if (shouldAnimate) {
+        p5grain.textureAnimate(textureElement);
+    }
+}
+
+function windowResized() {
+    setup();
+    if (!shouldAnimate) redraw();
+}
+
+function mousePressed() {
+    noLoop();
+}
+
+function mouseReleased() {
+    if (shouldAnimate) loop();
+}
+
+function keyPressed() {
+    // Press [S] to save frame, including the texture element
+    if (keyCode === 83) {
+        p5grain.saveWithTexture('export.png', textureElement);
+    }
+}
@@ -36,7 +36,8 @@ function draw() {
     fill(100, 100, 240);
     circle(cW, cH, cD);
 
-    // Animate SVG texture element
+    // Animate SVG texture element (pass { method: 'seed' } to change the
+    // turbulence seed instead of shifting the background position)
     if (shouldAnimate) {
         p5grain.textureAnimate(textureElement);
     }
@@ -0,0 +1,59 @@
+const shouldAnimate = true;
+let textureImage;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    // Generate a seamlessly tileable texture image
+    if (!textureImage) {
+        textureImage = p5grain.createTexture({ type: 'paper' });
+    }
+
+    if (!shouldAnimate) noLoop();
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Blend over texture image, pre-tiled once into a cached layer. 
+    // Animated textures are cached by default, pass cache: false to 
+    // tile the texture image on every frame instead
+    p5grain.textureOverlay(textureImage, {
+        animate: shouldAnimate,
+        cache: true,
+    });
+}
+
+function windowResized() {
+    setup();
+    if (!shouldAnimate) redraw();
+}
+
+function mousePressed() {
+    // Generate a new texture image and free the cached layers of the 
+    // previous texture image
+    p5grain.clearCache();
+    textureImage = p5grain.createTexture({ type: 'fractal' });
+    if (!shouldAnimate) redraw();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -0,0 +1,71 @@
+const shouldAnimate = true;
+let textureElement;
+let cW, cH, cD;
+
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+    // frameRate(30);
+
+    p5grain.setup();
+
+    // Prepare reusable vars for drawing artwork
+    cW = width/2;
+    cH = height/2; 
+    cD = min(width, height)/2;
+
+    // Create texture element, which follows the position and size of the 
+    // canvas, without writing its CSS by hand
+    if (!textureElement) {
+        textureElement = p5grain.createTextureElement({
+            image: p5grain.createTexture({ type: 'paper' }),
+        });
+
+        // Texture image URL
+        // textureElement = p5grain.createTextureElement({
+        //     image: './assets/texture.jpg',
+        //     width: 128,
+        //     height: 128,
+        // });
+
+        // SVG filter
+        // textureElement = p5grain.createTextureElement({
+        //     svg: { baseFrequency: 0.8 },
+        // });
+    }
+
+    if (!shouldAnimate) noLoop();
+}
+
+function draw() {
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(cW, cH, cD);
+
+    // Animate texture element
+    if (shouldAnimate) {
+        p5grain.textureAnimate(textureElement);
+    }
+}
+
+function windowResized() {
+    setup();
+    if (!shouldAnimate) redraw();
+}
+
+function mousePressed() {
+    noLoop();
+}
+
+function mouseReleased() {
+    if (shouldAnimate) loop();
+}
+
+function keyPressed() {
+    // Press [S] to save frame, including the texture element
+    if (keyCode === 83) {
+        p5grain.saveWithTexture('export.png', textureElement);
+    }
+}
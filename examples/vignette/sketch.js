@@ -0,0 +1,35 @@
+let p5grain = new P5Grain();
+function setup() {
+    createCanvas(windowWidth, windowHeight);
+
+    p5grain.setup();
+
+    // Simulate drawing artwork
+    background(255);
+    noStroke();
+    fill(100, 100, 240);
+    circle(width/2, height/2, min(width, height)/2);
+
+    // Darken the edges of the artwork
+    p5grain.vignette({ amount: 0.8, softness: 0.2 });
+
+    // Tinted vignette with an off-center focus
+    // p5grain.vignette({
+    //     color: [60, 20, 80],
+    //     center: { x: width/3, y: height/3 },
+    // });
+
+    // Granulate artwork
+    p5grain.granulateSimple(24);
+}
+
+function windowResized() {
+    setup();
+}
+
+function keyPressed() {
+    // Press [S] to save frame
+    if (keyCode === 83) {
+        saveCanvas('export.png');
+    }
+}
@@ -11,26 +11,65 @@ class P5Grain {
     /** @internal */
     ignoreWarnings = false;
     ignoreErrors = false;
+    #registrationWarnings = [];
     /** @end */
 
     #random;
+    #userRandom;
+    #seed;
+    #streams;
+    #animationStates;
+    #animationCounts;
+    #restoredAnimations;
     #textureAnimate;
     #textureOverlay;
+    #shaderGranulate;
+    #overlayLayers;
+    #cachedLayers;
+    #textureElements;
+    #auto;
+    #artifactSeeds;
+    #pixelUpdates;
+    #webGLAvailable;
     instanceMode = false;
     instanceRef;
 
     constructor() {
-        // this.#random = p5.prototype.random;
-        this.#random = Math.random;
-        this.#textureAnimate = {
-            frameCount: 0,
-        };
-        this.#textureOverlay = {
-            frameCount: 0,
-            tX_anchor: 0,
-            tX: 0,
-            tY: 0,
+        // random function given by the user
+        this.#userRandom = Math.random;
+        // random function in use, i.e. the user given random function or
+        // the current substream of the built-in random number generator
+        this.#random = this.#userRandom;
+        // seed of the built-in random number generator
+        this.#seed = null;
+        // number of substreams derived per stream name
+        this.#streams = {};
+        // animation states by id, number of animation states per method and
+        // animation states restored by setState that haven't been created
+        this.#animationStates = new Map();
+        this.#animationCounts = {};
+        this.#restoredAnimations = {};
+        // animation states per texture element
+        this.#textureAnimate = new WeakMap();
+        // animation states per canvas or context and texture image
+        this.#textureOverlay = new WeakMap();
+        this.#shaderGranulate = {
+            buffer: null,
+            shader: null,
         };
+        // pre-tiled layers by texture image and render target
+        this.#overlayLayers = new WeakMap();
+        // all pre-tiled layers, so that they can be removed
+        this.#cachedLayers = new Set();
+        // functions syncing managed texture elements with the canvas
+        this.#textureElements = new WeakMap();
+        // stack applied automatically after every draw
+        this.#auto = null;
+        // seeds of analog artifacts per canvas or context
+        this.#artifactSeeds = new WeakMap();
+        // number of pixel updates per canvas or context
+        this.#pixelUpdates = new WeakMap();
+        this.#registerMethods();
     }
 
     /**
@@ -43,6 +82,12 @@ class P5Grain {
      * </code>
      * 
      * @example
+     * <p>Use the built-in seeded random number generator.</p>
+     * <code>
+     *     p5grain.setup({ seed: 42 });
+     * </code>
+     * 
+     * @example
      * <p>Ignore errors and warnings</p>
      * <code>
      *     // Dangerous, but might be more performant
@@ -58,6 +103,14 @@ class P5Grain {
      * @param {function} [config.random] The random function that should be
      *     used when for e.g. pixel manipulation, texture animation, etc. 
      *     Here you could use a deterministic random function.
+     * @param {Number} [config.seed] The seed of the built-in random number 
+     *     generator (mulberry32). When a seed is specified, every effect and
+     *     animation uses its own substream derived from the seed and the 
+     *     method name, numbered in the order of calls, or derived from the 
+     *     seed and the stream id given as stream property of its config 
+     *     object. Only calls with a unique stream id are guaranteed to keep 
+     *     their output when other calls are added. Takes precedence over 
+     *     config.random.
      * @param {Boolean} [config.ignoreErrors] Specifies whether errors should 
      *     be ignored. This is dangerous, but it might be more performant.
      * @param {Boolean} [config.ignoreWarnings] Specifies whether warnings 
@@ -70,10 +123,18 @@ class P5Grain {
         this.#validateArguments('setup', arguments);
         /** @end */
         if (typeof config === 'undefined') {
-            this.#random = random;
+            // use the random function of the sketch, if any
+            this.#userRandom = p5.instance ? () => p5.instance.random() : Math.random;
+            this.#seed = null;
+            this.#random = this.#userRandom;
         } else if (typeof config === 'object') {
             if (typeof config.random === 'function') {
-                this.#random = config.random;
+                this.#userRandom = config.random;
+                this.#seed = null;
+                this.#random = this.#userRandom;
+            }
+            if (typeof config.seed === 'number') {
+                this.reseed(config.seed);
             }
             if (typeof config.instanceMode === 'boolean') {
                 this.instanceMode = config.instanceMode;
@@ -90,6 +151,105 @@ class P5Grain {
                 this.ignoreWarnings = config.ignoreWarnings;
             } /** @end */
         }
+        /** @internal */
+        // log warnings about methods that could not be registered
+        this.#registrationWarnings.forEach(message => this.#warn(message));
+        this.#registrationWarnings = [];
+        /** @end */
+    }
+
+    /**
+     * Reset the built-in random number generator.
+     * 
+     * All substreams start over, and texture animations are restarted, so 
+     * that subsequent calls reproduce the same output as after setting up 
+     * with the same seed.
+     * 
+     * @example
+     * <p>Render the same grain on every frame</p>
+     * <code>
+     *     function draw() {
+     *         p5grain.reseed();
+     *         granulateSimple(42);
+     *     }
+     * </code>
+     * 
+     * @method reseed
+     * 
+     * @param {Number} [seed] The new seed. When no seed is specified, the 
+     *     current seed is used.
+     */
+    reseed(seed) {
+        /** @internal */
+        this.#validateArguments('reseed', arguments);
+        /** @end */
+        if (typeof seed === 'number') {
+            this.#seed = seed >>> 0;
+        }
+        this.#streams = {};
+        this.#textureAnimate = new WeakMap();
+        this.#textureOverlay = new WeakMap();
+        this.#artifactSeeds = new WeakMap();
+        this.#animationStates = new Map();
+        this.#animationCounts = {};
+        this.#restoredAnimations = {};
+    }
+
+    /**
+     * Get the state of the built-in random number generator.
+     * 
+     * The state is a plain object, which can be serialized, for e.g. with 
+     * JSON.stringify, and passed to setState to continue from this point.
+     * 
+     * @method getState
+     * 
+     * @returns {Object} The seed, the number of substreams derived per
+     *     stream name and the animation states of textureAnimate and
+     *     textureOverlay.
+     */
+    getState() {
+        const animations = { ...this.#restoredAnimations };
+        this.#animationStates.forEach((state, id) => {
+            animations[id] = { ...state };
+        });
+        return {
+            seed: this.#seed,
+            streams: { ...this.#streams },
+            animations,
+        };
+    }
+
+    /**
+     * Restore a state of the built-in random number generator, previously 
+     * returned by getState.
+     * 
+     * @method setState
+     * 
+     * @param {Object} state The state.
+     * @param {Number} state.seed The seed.
+     * @param {Object} state.streams The number of substreams derived per 
+     *     stream name.
+     * @param {Object} [state.animations] The animation states of 
+     *     textureAnimate and textureOverlay.
+     */
+    setState(state) {
+        /** @internal */
+        this.#validateArguments('setState', arguments);
+        /** @end */
+        this.#seed = state.seed === null ? null : state.seed >>> 0;
+        this.#streams = { ...state.streams };
+        if (this.#seed === null) {
+            this.#random = this.#userRandom;
+        }
+        // restore existing animation states, and the others once created
+        this.#restoredAnimations = {};
+        Object.entries(state.animations || {}).forEach(([id, animation]) => {
+            if (this.#animationStates.has(id)) {
+                Object.assign(this.#animationStates.get(id), animation);
+            } else {
+                this.#restoredAnimations[id] = { ...animation };
+            }
+        });
     }
 
     /**
@@ -99,35 +259,69 @@ class P5Grain {
      * ranges from -amount to +amount and is added to every RGB(A) pixel 
      * channel.
      *
+     * By default the random values are distributed uniformly. Gaussian and 
+     * triangular distributions concentrate the values around zero, which 
+     * results in a softer, more natural looking grain. The poisson 
+     * distribution simulates skewed shot noise.
+     *
      * @method granulateSimple
      * 
      * @param {Number} amount The amount of granularity that should be applied.
-     * @param {Boolean} [alpha] Specifies whether the alpha channel should 
-     *     also be modified. When not specified the alpha channel will
+     * @param {Boolean|Object} [config] Either a boolean specifying whether 
+     *     the alpha channel should also be modified, or a config object.
+     * @param {Boolean} [config.alpha] Specifies whether the alpha channel 
+     *     should also be modified. When not specified the alpha channel will
      *     not be modified.
+     * @param {Object} [config.region] The region that should be granulated. 
+     *     When no region is specified, the entire canvas or context is 
+     *     granulated.
+     * @param {Number} config.region.x The x-coordinate of the region.
+     * @param {Number} config.region.y The y-coordinate of the region.
+     * @param {Number} config.region.width The width of the region.
+     * @param {Number} config.region.height The height of the region.
+     * @param {p5.Image|p5.Graphics} [config.mask] The mask whose luminance 
+     *     (or alpha) scales the amount of granularity per pixel. The mask 
+     *     is stretched to cover the entire canvas or context.
+     * @param {String} [config.maskMode] Either 'luminance' or 'alpha'. 
+     *     When no mask mode is specified, 'luminance' is used.
+     * @param {String|Function} [config.curve] The response curve that 
+     *     scales the amount of granularity depending on the luminance of 
+     *     each pixel. Either 'linear', 'midtone', 'shadows', 'highlights' 
+     *     or a function that receives the luminance (0-1) of a pixel and 
+     *     returns a multiplier. When no curve is specified, the amount of 
+     *     granularity is independent of the luminance.
+     * @param {String} [config.distribution] The distribution of the random 
+     *     values. Either 'uniform', 'gaussian', 'triangular' or 'poisson'. 
+     *     When no distribution is specified, 'uniform' is used.
+     * @param {String} [config.stream] The stream id of the call. When a 
+     *     seed is specified in the setup, a call with a unique stream id 
+     *     keeps its output when other calls are added. When no stream id is 
+     *     specified, calls are numbered in the order of calls per method.
+     * @param {Number} [config.size] The size of the grain in pixels. Grain 
+     *     larger than 1 pixel is generated at a lower resolution and 
+     *     upsampled. When no size is specified, a size of 1 is used.
+     * @param {String} [config.interpolation] The interpolation used to 
+     *     upsample grain larger than 1 pixel. Either 'nearest', 'bilinear' 
+     *     or 'smooth'. When no interpolation is specified, 'nearest' is 
+     *     used.
+     * @param {Boolean} [config.densityIndependent] Specifies whether the 
+     *     grain size should be independent of the pixel density, so that 
+     *     the grain looks the same on displays with different pixel 
+     *     densities. When not specified, the grain size is given in 
+     *     device pixels.
      * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
      *     should be manipulated.
      */
-    granulateSimple(amount, alpha, pg) {
+    granulateSimple(amount, config, pg) {
         /** @internal */
         this.#validateArguments('granulateSimple', arguments);
         /** @end */
-        const _amount = this.instanceMode ? this.instanceRef.round(amount) : round(amount);
-        const _alpha = alpha || false;
-        pg ? pg.loadPixels() : this.instanceMode ? this.instanceRef.loadPixels() : loadPixels();
-        const density = pg ? pg.pixelDensity() : this.instanceMode ? this.instanceRef.pixelDensity() : pixelDensity();
-        const total = 4 * ((this.instanceMode ? this.instanceRef.width : width) * density) * ((this.instanceMode ? this.instanceRef.height : height) * density);
-        const _pixels = pg ? pg.pixels : this.instanceMode ? this.instanceRef.pixels : pixels;
-        for (let i = 0; i < total; i += 4) {
-            const grainAmount = this.#randomIntInclusive(-_amount, _amount);
-            _pixels[i] = _pixels[i] + grainAmount;
-            _pixels[i+1] = _pixels[i+1] + grainAmount;
-            _pixels[i+2] = _pixels[i+2] + grainAmount;
-            if (_alpha) {
-                _pixels[i+3] = _pixels[i+3] + grainAmount;
-            }
-        }
-        pg ? pg.updatePixels() : this.instanceMode ? this.instanceRef.updatePixels() : updatePixels();
+        this.#beginStream('granulateSimple', config);
+        const _config = config && typeof config === 'object' ? config : { alpha: config };
+        const target = this.#getRenderTarget(pg, _config.region);
+        target.loadPixels();
+        this.#forEachRow(target, this.#granulateSimpleStep(target, amount, _config));
+        target.updatePixels();
     }
 
     /**
@@ -140,31 +334,305 @@ class P5Grain {
      * @method granulateChannels
      * 
      * @param {Number} amount The amount of granularity that should be applied.
-     * @param {Boolean} [alpha] Specifies whether the alpha channel should 
-     *     also be modified. When not specified the alpha channel will
+     * @param {Boolean|Object} [config] Either a boolean specifying whether 
+     *     the alpha channel should also be modified, or a config object.
+     * @param {Boolean} [config.alpha] Specifies whether the alpha channel 
+     *     should also be modified. When not specified the alpha channel will
      *     not be modified.
+     * @param {Object} [config.region] The region that should be granulated. 
+     *     When no region is specified, the entire canvas or context is 
+     *     granulated.
+     * @param {Number} config.region.x The x-coordinate of the region.
+     * @param {Number} config.region.y The y-coordinate of the region.
+     * @param {Number} config.region.width The width of the region.
+     * @param {Number} config.region.height The height of the region.
+     * @param {p5.Image|p5.Graphics} [config.mask] The mask whose luminance 
+     *     (or alpha) scales the amount of granularity per pixel. The mask 
+     *     is stretched to cover the entire canvas or context.
+     * @param {String} [config.maskMode] Either 'luminance' or 'alpha'. 
+     *     When no mask mode is specified, 'luminance' is used.
+     * @param {String|Function} [config.curve] The response curve that 
+     *     scales the amount of granularity depending on the luminance of 
+     *     each pixel. Either 'linear', 'midtone', 'shadows', 'highlights' 
+     *     or a function that receives the luminance (0-1) of a pixel and 
+     *     returns a multiplier. When no curve is specified, the amount of 
+     *     granularity is independent of the luminance.
+     * @param {String} [config.distribution] The distribution of the random 
+     *     values. Either 'uniform', 'gaussian', 'triangular' or 'poisson'. 
+     *     When no distribution is specified, 'uniform' is used.
+     * @param {String} [config.stream] The stream id of the call. When a 
+     *     seed is specified in the setup, a call with a unique stream id 
+     *     keeps its output when other calls are added. When no stream id is 
+     *     specified, calls are numbered in the order of calls per method.
+     * @param {Number} [config.size] The size of the grain in pixels. Grain 
+     *     larger than 1 pixel is generated at a lower resolution and 
+     *     upsampled. When no size is specified, a size of 1 is used.
+     * @param {String} [config.interpolation] The interpolation used to 
+     *     upsample grain larger than 1 pixel. Either 'nearest', 'bilinear' 
+     *     or 'smooth'. When no interpolation is specified, 'nearest' is 
+     *     used.
+     * @param {Boolean} [config.densityIndependent] Specifies whether the 
+     *     grain size should be independent of the pixel density, so that 
+     *     the grain looks the same on displays with different pixel 
+     *     densities. When not specified, the grain size is given in 
+     *     device pixels.
      * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
      *     should be manipulated.
      */
-    granulateChannels(amount, alpha, pg) {
+    granulateChannels(amount, config, pg) {
         /** @internal */
         this.#validateArguments('granulateChannels', arguments);
         /** @end */
-        const _amount = this.instanceMode ? this.instanceRef.round(amount) : round(amount);
-        const _alpha = alpha || false;
-        pg ? pg.loadPixels() : this.instanceMode ? this.instanceRef.loadPixels() : loadPixels();
-        const density = pg ? pg.pixelDensity() : this.instanceMode ? this.instanceRef.pixelDensity() : pixelDensity();
-        const total = 4 * ((this.instanceMode ? this.instanceRef.width : width) * density) * ((this.instanceMode ? this.instanceRef.height : height) * density);
-        const _pixels = pg ? pg.pixels : this.instanceMode ? this.instanceRef.pixels : pixels;
-        for (let i = 0; i < total; i += 4) {
-            _pixels[i] = _pixels[i] + this.#randomIntInclusive(-_amount, _amount);
-            _pixels[i+1] = _pixels[i+1] + this.#randomIntInclusive(-_amount, _amount);
-            _pixels[i+2] = _pixels[i+2] + this.#randomIntInclusive(-_amount, _amount);
-            if (_alpha) {
-                _pixels[i+3] = _pixels[i+3] + this.#randomIntInclusive(-_amount, _amount);
-            }
-        }
-        pg ? pg.updatePixels() : this.instanceMode ? this.instanceRef.updatePixels() : updatePixels();
+        this.#beginStream('granulateChannels', config);
+        const _config = config && typeof config === 'object' ? config : { alpha: config };
+        const target = this.#getRenderTarget(pg, _config.region);
+        target.loadPixels();
+        this.#forEachRow(target, this.#granulateChannelsStep(target, amount, _config));
+        target.updatePixels();
+    }
+
+    /**
+     * Granulate pixels by the given amount, asynchronously in a Web Worker.
+     * 
+     * This is the asynchronous variant of granulateSimple, which keeps the 
+     * page responsive while granulating large canvases, e.g. during final 
+     * renders. A copy of the pixels is transferred to a Web Worker, which 
+     * granulates the pixels in chunks of rows. Each chunk uses its own seed, 
+     * derived from the configured random function, so that the result is 
+     * deterministic. The canvas shouldn't be drawn onto until the returned 
+     * Promise has been resolved: when a frame has been drawn onto the main 
+     * canvas, the canvas or offscreen graphics buffer has been resized, or 
+     * p5.grain has updated its pixels in the meantime, the result is 
+     * discarded and the Promise is rejected.
+     * 
+     * The options mask, curve, size and interpolation are not supported.
+     * 
+     * @example
+     * <p>Granulate asynchronously and log the progress:</p>
+     * <code>
+     *     p5grain.granulateSimpleAsync(42, {
+     *         progress: (progress) => console.log(progress),
+     *     }).then(() => console.log('done'));
+     * </code>
+     * 
+     * @method granulateSimpleAsync
+     * 
+     * @param {Number} amount The amount of granularity that should be applied.
+     * @param {Boolean|Object} [config] Specifies whether the alpha channel 
+     *     should also be modified, or a config object.
+     * @param {Boolean} [config.alpha] Specifies whether the alpha channel 
+     *     should also be modified.
+     * @param {String} [config.distribution] The distribution of the random 
+     *     values. Either 'uniform', 'gaussian', 'triangular' or 'poisson'. 
+     *     When no distribution is specified, 'uniform' is used.
+     * @param {String} [config.stream] The stream id of the call. When a 
+     *     seed is specified in the setup, a call with a unique stream id 
+     *     keeps its output when other calls are added. When no stream id is 
+     *     specified, calls are numbered in the order of calls per method.
+     * @param {Object} [config.region] The region that should be granulated. 
+     *     When no region is specified, the entire canvas or context is 
+     *     granulated.
+     * @param {Number} [config.chunkSize] The number of pixel rows per chunk. 
+     *     When no chunk size is specified, 64 is used.
+     * @param {Function} [config.progress] Function that receives the 
+     *     progress (0-1) after every chunk.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     * @returns {Promise<Uint8ClampedArray>} Resolves with the updated 
+     *     pixels.
+     */
+    granulateSimpleAsync(amount, config, pg) {
+        /** @internal */
+        this.#validateArguments('granulateSimpleAsync', arguments);
+        /** @end */
+        this.#beginStream('granulateSimpleAsync', config);
+        return this.#granulateAsync(false, amount, config, pg);
+    }
+
+    /**
+     * Granulate pixels channels by the given amount, asynchronously in a 
+     * Web Worker.
+     * 
+     * This is the asynchronous variant of granulateChannels. See 
+     * granulateSimpleAsync for details.
+     * 
+     * @method granulateChannelsAsync
+     * 
+     * @param {Number} amount The amount of granularity that should be applied.
+     * @param {Boolean|Object} [config] Specifies whether the alpha channel 
+     *     should also be modified, or a config object (see 
+     *     granulateSimpleAsync).
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     * @returns {Promise<Uint8ClampedArray>} Resolves with the updated 
+     *     pixels.
+     */
+    granulateChannelsAsync(amount, config, pg) {
+        /** @internal */
+        this.#validateArguments('granulateChannelsAsync', arguments);
+        /** @end */
+        this.#beginStream('granulateChannelsAsync', config);
+        return this.#granulateAsync(true, amount, config, pg);
+    }
+
+    /**
+     * Granulate pixels by the given amount, simulating film grain.
+     *
+     * Film grain is strongest in the midtones and fades in deep shadows and 
+     * highlights. This method scales the amount of granularity per pixel by 
+     * a response curve depending on the luminance of the pixel. 
+     * Additionally, a chroma factor blends between one random value per 
+     * pixel (monochromatic grain) and one random value per pixel channel 
+     * (color grain).
+     * 
+     * The film stock presets bundle a response curve and a chroma factor:
+     * - 'color-negative': midtone curve, subtle color grain (default)
+     * - 'slide': shadows curve, very subtle color grain
+     * - 'black-and-white': midtone curve, monochromatic grain
+     * - 'pushed': linear curve, strong color grain
+     *
+     * @example
+     * <p>Granulate using the default film stock:</p>
+     * <code>
+     *     p5grain.granulateFilm(42);
+     * </code>
+     *
+     * @example
+     * <p>Granulate using a custom response curve:</p>
+     * <code>
+     *     p5grain.granulateFilm(42, {
+     *         stock: 'black-and-white',
+     *         curve: (luma) => 1 - Math.abs(luma - 0.4),
+     *     });
+     * </code>
+     *
+     * @method granulateFilm
+     * 
+     * @param {Number} amount The amount of granularity that should be applied.
+     * @param {Object} [config] Config object to configure the film 
+     *     granulation.
+     * @param {String} [config.stock] The film stock preset. Either 
+     *     'color-negative', 'slide', 'black-and-white' or 'pushed'. When no 
+     *     film stock is specified, 'color-negative' is used.
+     * @param {String|Function} [config.curve] The response curve, which 
+     *     overrides the curve of the film stock. Either 'linear', 
+     *     'midtone', 'shadows', 'highlights' or a function that receives 
+     *     the luminance (0-1) of a pixel and returns a multiplier.
+     * @param {Number} [config.chroma] The chroma factor (0-1), which 
+     *     overrides the chroma factor of the film stock. 0 results in 
+     *     monochromatic grain, 1 in independent grain per pixel channel.
+     * @param {String} [config.distribution] The distribution of the random 
+     *     values. Either 'uniform', 'gaussian', 'triangular' or 'poisson'. 
+     *     When no distribution is specified, 'uniform' is used.
+     * @param {String} [config.stream] The stream id of the call. When a 
+     *     seed is specified in the setup, a call with a unique stream id 
+     *     keeps its output when other calls are added. When no stream id is 
+     *     specified, calls are numbered in the order of calls per method.
+     * @param {Number} [config.size] The size of the grain in pixels. Grain 
+     *     larger than 1 pixel is generated at a lower resolution and 
+     *     upsampled. When no size is specified, a size of 1 is used.
+     * @param {String} [config.interpolation] The interpolation used to 
+     *     upsample grain larger than 1 pixel. Either 'nearest', 'bilinear' 
+     *     or 'smooth'. When no interpolation is specified, 'nearest' is 
+     *     used.
+     * @param {Boolean} [config.densityIndependent] Specifies whether the 
+     *     grain size should be independent of the pixel density, so that 
+     *     the grain looks the same on displays with different pixel 
+     *     densities. When not specified, the grain size is given in 
+     *     device pixels.
+     * @param {Object} [config.region] The region that should be granulated. 
+     *     When no region is specified, the entire canvas or context is 
+     *     granulated.
+     * @param {p5.Image|p5.Graphics} [config.mask] The mask whose luminance 
+     *     (or alpha) scales the amount of granularity per pixel.
+     * @param {String} [config.maskMode] Either 'luminance' or 'alpha'. 
+     *     When no mask mode is specified, 'luminance' is used.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    granulateFilm(amount, config, pg) {
+        /** @internal */
+        this.#validateArguments('granulateFilm', arguments);
+        /** @end */
+        this.#beginStream('granulateFilm', config);
+        const _config = config || {};
+        const target = this.#getRenderTarget(pg, _config.region);
+        target.loadPixels();
+        this.#forEachPixel(target, this.#granulateFilmStep(target, amount, _config));
+        target.updatePixels();
+    }
+
+    /**
+     * Granulate pixels by the given amount, with separate luminance and 
+     * chroma grain.
+     * 
+     * The grain is applied in the given color space: the luminance grain is 
+     * added to the luminance component and the chroma grain to the two 
+     * color components, before converting back to RGB. Using a perceptual 
+     * color space ('ycbcr' or 'oklab') results in subtle color grain 
+     * without garish rainbow speckles. Per-channel weights additionally 
+     * scale the resulting change of the red, green and blue channels.
+     * 
+     * @example
+     * <p>Granulate with subtle color grain in the OKLab color space:</p>
+     * <code>
+     *     p5grain.granulateChroma(42, { chroma: 8, space: 'oklab' });
+     * </code>
+     * 
+     * @method granulateChroma
+     * 
+     * @param {Number} amount The amount of luminance granularity that 
+     *     should be applied.
+     * @param {Object} [config] Config object to configure the chroma 
+     *     granulation.
+     * @param {Number} [config.chroma] The amount of chroma granularity that 
+     *     should be applied. When no chroma amount is specified, a quarter 
+     *     of the luminance amount is used.
+     * @param {String} [config.space] The color space the grain is applied 
+     *     in. Either 'rgb' (luminance grain on all channels plus 
+     *     independent grain per channel), 'ycbcr' or 'oklab'. When no color 
+     *     space is specified, 'ycbcr' is used.
+     * @param {Number[]} [config.weights] The weights of the red, green and 
+     *     blue channels, scaling the change of each channel. When no 
+     *     weights are specified, [1, 1, 1] is used.
+     * @param {String|Function} [config.curve] The response curve. Either 
+     *     'linear', 'midtone', 'shadows', 'highlights' or a function that 
+     *     receives the luminance (0-1) of a pixel and returns a multiplier.
+     * @param {String} [config.distribution] The distribution of the random 
+     *     values. Either 'uniform', 'gaussian', 'triangular' or 'poisson'. 
+     *     When no distribution is specified, 'uniform' is used.
+     * @param {String} [config.stream] The stream id of the call. When a 
+     *     seed is specified in the setup, a call with a unique stream id 
+     *     keeps its output when other calls are added. When no stream id is 
+     *     specified, calls are numbered in the order of calls per method.
+     * @param {Number} [config.size] The size of the grain in pixels. When no 
+     *     size is specified, a size of 1 is used.
+     * @param {String} [config.interpolation] The interpolation used to 
+     *     upsample grain larger than 1 pixel. Either 'nearest', 'bilinear' 
+     *     or 'smooth'. When no interpolation is specified, 'nearest' is 
+     *     used.
+     * @param {Boolean} [config.densityIndependent] Specifies whether the 
+     *     grain size should be independent of the pixel density.
+     * @param {Object} [config.region] The region that should be granulated. 
+     *     When no region is specified, the entire canvas or context is 
+     *     granulated.
+     * @param {p5.Image|p5.Graphics} [config.mask] The mask whose luminance 
+     *     (or alpha) scales the amount of granularity per pixel.
+     * @param {String} [config.maskMode] Either 'luminance' or 'alpha'. 
+     *     When no mask mode is specified, 'luminance' is used.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    granulateChroma(amount, config, pg) {
+        /** @internal */
+        this.#validateArguments('granulateChroma', arguments);
+        /** @end */
+        this.#beginStream('granulateChroma', config);
+        const _config = config || {};
+        const target = this.#getRenderTarget(pg, _config.region);
+        target.loadPixels();
+        this.#forEachPixel(target, this.#granulateChromaStep(target, amount, _config));
+        target.updatePixels();
     }
 
     /**
@@ -220,20 +688,294 @@ class P5Grain {
         this.#validateArguments('tinkerPixels', arguments);
         /** @end */
         shouldUpdate = shouldUpdate !== false;
-        pg ? pg.loadPixels() : this.instanceMode ? this.instanceRef.loadPixels() : loadPixels();
-        const density = pg ? pg.pixelDensity() : this.instanceMode ? this.instanceRef.pixelDensity() : pixelDensity();
-        const total = 4 * ((this.instanceMode ? this.instanceRef.width : width) * density) * ((this.instanceMode ? this.instanceRef.height : height) * density);
-        for (let i = 0; i < total; i += 4) {
-            callback(i, total);
-        }
+        const target = this.#getRenderTarget(pg);
+        target.loadPixels();
+        const total = target.total;
+        this.#forEachPixel(target, (i) => callback(i, total));
         if (shouldUpdate) {
-            pg ? pg.updatePixels() : this.instanceMode ? this.instanceRef.updatePixels() : updatePixels();
+            target.updatePixels();
         }
     }
 
     /**
-     * Animate the given texture element by randomly shifting its background 
-     * position.
+     * Create a pipeline of per-pixel steps, which are applied in a single 
+     * pass: the pixels are loaded once, every step is run on each pixel row
+     * in the given order, and the pixels are updated once. This is 
+     * considerably faster than calling multiple pixel manipulation methods 
+     * one after another on large canvases.
+     * 
+     * A step is either a built-in step, i.e. an object with the method 
+     * ('granulateSimple', 'granulateChannels', 'granulateFilm' or 
+     * 'granulateChroma'), the amount and the optional config of the 
+     * respective method, or a custom function. Custom functions receive 
+     * the pixels array, the pixel index and the x- and y-coordinates of 
+     * the pixel (in pixels, including pixel density).
+     * 
+     * The returned function applies the pipeline and can be called on 
+     * every frame.
+     * 
+     * @example
+     * <p>Stack grain and a custom tweak in a single pass:</p>
+     * <code>
+     *     const grain = p5grain.pipeline([
+     *         { method: 'granulateChannels', amount: 20 },
+     *         (pixels, index) => {
+     *             pixels[index+2] = Math.min(pixels[index+2] + 10, 255);
+     *         },
+     *         { method: 'granulateSimple', amount: 6, config: { distribution: 'gaussian' } },
+     *     ]);
+     *     function draw() {
+     *         // draw your artwork here
+     *         grain();
+     *     }
+     * </code>
+     * 
+     * @method pipeline
+     * 
+     * @param {Array<Object|Function>} steps The steps that should be 
+     *     applied to every pixel, in order.
+     * @param {Object} [config] Config object to configure the pipeline.
+     * @param {Object} [config.region] The region the pipeline should be 
+     *     applied to. When no region is specified, the pipeline is applied 
+     *     to the entire canvas or context. The config objects of built-in 
+     *     steps can't specify a region.
+     * @returns {Function} Function that applies the pipeline to the canvas, 
+     *     or to the offscreen graphics buffer passed as argument.
+     */
+    pipeline(steps, config) {
+        /** @internal */
+        this.#validateArguments('pipeline', arguments);
+        /** @end */
+        const _steps = steps.slice();
+        const _region = config && config.region ? config.region : null;
+        return (pg) => {
+            /** @internal */
+            this.#validateArguments('applyPipeline', [pg]);
+            /** @end */
+            const target = this.#getRenderTarget(pg, _region);
+            target.loadPixels();
+            const _pixels = target.pixels;
+            // per-pixel steps are looped through the pixel row
+            const perPixel = (callback) => (i, x0, x1, y) => {
+                for (let x = x0; x < x1; x++, i += 4) {
+                    callback(i, x, y);
+                }
+            };
+            const callbacks = _steps.map((step) => {
+                if (typeof step === 'function') {
+                    return perPixel((i, x, y) => step(_pixels, i, x, y));
+                }
+                const _config = step.config && typeof step.config === 'object'
+                    ? step.config : { alpha: step.config };
+                // every step draws from its own substream
+                this.#beginStream(step.method, _config);
+                switch (step.method) {
+                    case 'granulateChannels':
+                        return this.#granulateChannelsStep(target, step.amount, _config);
+                    case 'granulateFilm':
+                        return perPixel(this.#granulateFilmStep(target, step.amount, _config));
+                    case 'granulateChroma':
+                        return perPixel(this.#granulateChromaStep(target, step.amount, _config));
+                    default:
+                        return this.#granulateSimpleStep(target, step.amount, _config);
+                }
+            });
+            const count = callbacks.length;
+            this.#forEachRow(target, (i, x0, x1, y) => {
+                for (let k = 0; k < count; k++) {
+                    callbacks[k](i, x0, x1, y);
+                }
+            });
+            target.updatePixels();
+        };
+    }
+
+    /**
+     * Automatically apply the given stack of grain and texture methods 
+     * after every draw, i.e. also on redraws (e.g. in windowResized) and 
+     * before exporting the canvas from outside of draw.
+     * 
+     * The stack is applied using p5's 'post' hook to the canvas of the 
+     * sketch, both in global and instance mode. Consecutive pixel 
+     * manipulation steps are applied in a single pass (see pipeline).
+     * 
+     * Pass a boolean instead of a config object to enable or disable the 
+     * configured stack at runtime.
+     * 
+     * @example
+     * <p>Granulate and overlay a texture after every draw:</p>
+     * <code>
+     *     p5grain.auto({
+     *         stack: [
+     *             { method: 'granulateFilm', amount: 24 },
+     *             { method: 'textureOverlay', textureImage, config: { animate: true } },
+     *         ],
+     *     });
+     * </code>
+     * 
+     * @example
+     * <p>Disable and enable the automatic stack:</p>
+     * <code>
+     *     p5grain.auto(false);
+     *     p5grain.auto(true);
+     * </code>
+     * 
+     * @method auto
+     * 
+     * @param {Object|Boolean} config Config object to configure the 
+     *     automatic stack, or a boolean specifying whether the configured 
+     *     stack should be applied.
+     * @param {Array<Object|Function>} config.stack The steps that should be 
+     *     applied after every draw, in order. Either a built-in step of a 
+     *     pipeline or a custom function (see pipeline), an object with the 
+     *     method 'granulateShader', the amount and the optional config, an 
+     *     object with the method 'textureOverlay', the textureImage and the 
+     *     optional config, or an object with the method 'vignette', 
+     *     'dustAndScratches', 'lightLeak', 'halation' or 'dither' and the 
+     *     optional config.
+     * @param {Boolean} [config.enabled] Specifies whether the stack should 
+     *     be applied. When not specified, the stack is applied.
+     */
+    auto(config) {
+        /** @internal */
+        this.#validateArguments('auto', arguments);
+        /** @end */
+        if (typeof config === 'boolean') {
+            if (this.#auto) {
+                this.#auto.enabled = config;
+            }
+            return;
+        }
+        // group consecutive pixel manipulation steps into pipelines
+        const stack = [];
+        let steps = null;
+        config.stack.forEach((item) => {
+            if (typeof item === 'function' || P5Grain.#pipelineMethods.includes(item.method)) {
+                if (!steps) {
+                    steps = [];
+                    stack.push(steps);
+                }
+                steps.push(item);
+            } else {
+                steps = null;
+                stack.push(item);
+            }
+        });
+        this.#auto = {
+            enabled: config.enabled !== false,
+            stack: stack.map((item) => Array.isArray(item) ? this.pipeline(item) : item),
+        };
+        // register the hook once with the sketch, or with all sketches when
+        // the sketch hasn't been initialized yet
+        const ref = this.instanceMode ? this.instanceRef : p5.instance;
+        const hookTarget = ref || p5.prototype;
+        const registered = hookTarget._registeredMethods
+            && hookTarget._registeredMethods.post
+            && hookTarget._registeredMethods.post.includes(P5Grain.#autoHook);
+        if (!registered && !P5Grain.#autoHookTargets.has(hookTarget)) {
+            hookTarget.registerMethod('post', P5Grain.#autoHook);
+            P5Grain.#autoHookTargets.add(hookTarget);
+        }
+    }
+
+    /**
+     * Granulate pixels by the given amount using a WebGL fragment shader.
+     *
+     * This method renders the grain on the GPU, which is considerably faster 
+     * than the pixel manipulation methods on large canvases. The random 
+     * values are derived from a seed that is generated with the configured 
+     * random function, so the result stays deterministic. Just like with 
+     * the pixel manipulation methods, the random values range from -amount 
+     * to +amount.
+     *
+     * When WebGL is not available, the method falls back to 
+     * granulateChannels (if config.channels is true) or granulateSimple.
+     *
+     * @example
+     * <p>Granulate the canvas using the shader technique:</p>
+     * <code>
+     *     p5grain.granulateShader(42);
+     * </code>
+     *
+     * @example
+     * <p>Generate one random value per pixel channel:</p>
+     * <code>
+     *     p5grain.granulateShader(42, { channels: true });
+     * </code>
+     *
+     * @method granulateShader
+     * 
+     * @param {Number} amount The amount of granularity that should be applied.
+     * @param {Object} [config] Config object to configure the shader 
+     *     granulation.
+     * @param {Boolean} [config.channels] Specifies whether one random value 
+     *     should be generated per pixel channel instead of per pixel. When 
+     *     not specified, one random value is generated per pixel.
+     * @param {Boolean} [config.alpha] Specifies whether the alpha channel 
+     *     should also be modified. When not specified the alpha channel will
+     *     not be modified.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    granulateShader(amount, config, pg) {
+        /** @internal */
+        this.#validateArguments('granulateShader', arguments);
+        /** @end */
+        this.#beginStream('granulateShader', config);
+        const _channels = config && config.channels ? true : false;
+        const _alpha = config && config.alpha ? true : false;
+        // fall back to pixel manipulation technique
+        if (!this.#isWebGLAvailable()) {
+            /** @internal */
+            this.#warn(`WebGL is not available. granulateShader() falls back to ${_channels ? 'granulateChannels' : 'granulateSimple'}().`);
+            /** @end */
+            if (_channels) {
+                this.granulateChannels(amount, _alpha, pg);
+            } else {
+                this.granulateSimple(amount, _alpha, pg);
+            }
+            return;
+        }
+        const target = this.#getRenderTarget(pg);
+        const pInst = target.pInst;
+        const _width = target.width;
+        const _height = target.height;
+        const buffer = this.#getShaderBuffer(pInst, _width, _height, target.density);
+        const grainShader = this.#shaderGranulate.shader;
+        // render the granulated canvas or context into the shader buffer
+        buffer.clear();
+        buffer.shader(grainShader);
+        grainShader.setUniform('uTexture', pg ? pg : pInst._renderer);
+        grainShader.setUniform('uAmount', Math.round(amount));
+        grainShader.setUniform('uSeed', this.#random());
+        grainShader.setUniform('uChannels', _channels);
+        grainShader.setUniform('uAlpha', _alpha);
+        buffer.noStroke();
+        buffer.rect(-_width/2, -_height/2, _width, _height);
+        buffer.resetShader();
+        // replace the canvas or context with the shader buffer
+        const ref = target.ref;
+        ref.push();
+        ref.resetMatrix();
+        ref.blendMode(pInst.BLEND);
+        ref.imageMode(pInst.CORNER);
+        ref.clear();
+        ref.image(
+            buffer,
+            target.isWebGL ? -_width/2 : 0,
+            target.isWebGL ? -_height/2 : 0,
+            _width,
+            _height
+        );
+        ref.pop();
+    }
+
+    /**
+     * Animate the given texture element by moving its background position, 
+     * by default randomly shifting it.
+     * 
+     * The animation state is tracked per texture element, so that multiple 
+     * texture elements can be animated independently.
      * 
      * @method textureAnimate
      * 
@@ -249,28 +991,96 @@ class P5Grain {
      *     the texture is shifted by is generated randomly. When no 
      *     amount is specified, the minimum of the main canvas 
      *     width or height is used.
+     * @param {Number} [config.interval] The interval in milliseconds at 
+     *     which the texture should be shifted. When specified, the animation 
+     *     is driven by the elapsed time instead of the number of calls.
+     * @param {Number} [config.frame] The explicit frame index, e.g. 
+     *     frameCount. When specified, the texture is shifted every atFrame 
+     *     frames and the offset of a frame only depends on the seed and 
+     *     the frame index.
+     * @param {Number} [config.seed] The seed used to derive the offsets when 
+     *     interval or frame is specified. When no seed is specified, a seed 
+     *     is generated once per texture element.
+     * @param {String} [config.motion] The motion of the texture. Either 
+     *     'shift' (random shift at every step), 'drift' (constant 
+     *     velocity), 'wander' (smooth noise-driven movement around the 
+     *     anchor) or 'jitter' (small random offset around the anchor at 
+     *     every step). When no motion is specified, 'shift' is used.
+     * @param {Number|Object} [config.velocity] The velocity in pixels per 
+     *     step of the drift motion, either a number or an object with the 
+     *     properties x and y. When no velocity is specified, 1 is used.
+     * @param {Number} [config.smoothing] The number of steps between two 
+     *     random positions of the wander motion. Higher values produce 
+     *     slower, smoother movement. When no smoothing is specified, 30 is 
+     *     used.
+     * @param {Object} [config.anchor] The position (x, y) around which the 
+     *     texture wanders, jitters or from which it drifts. When no anchor 
+     *     is specified, the origin is used.
+     * @param {Number} [config.rotation] The maximum angle in radians by 
+     *     which the texture is randomly rotated at every step.
+     * @param {Number} [config.scale] The maximum amount (0-1) by which the 
+     *     texture is randomly scaled up or down at every step.
+     * @param {String} [config.method] Either 'offset' (move the texture 
+     *     element or its background position) or 'seed' (change the seed 
+     *     of the feTurbulence filter primitive of an SVG filter texture, 
+     *     either inline or URL-encoded as background image). When no method 
+     *     is specified, 'seed' is used for texture elements containing an 
+     *     inline feTurbulence filter primitive, otherwise 'offset'.
+     * @param {Number} [config.opacity] The opacity (0-1) of the texture 
+     *     element. The opacity can be animated by passing a different value 
+     *     on every frame, e.g. to fade the texture in.
      */
     textureAnimate(textureElement, config) {
         /** @internal */
         this.#validateArguments('textureAnimate', arguments);
         /** @end */
-        const _atFrame = config && config.atFrame ? this.instanceMode ? this.instanceRef.round(config.atFrame) : round(config.atFrame) : 2;
-        this.#textureAnimate.frameCount += 1;
-        if (this.#textureAnimate.frameCount >= _atFrame) {
-            const _amount = config && config.amount 
-                ? this.instanceMode ? this.instanceRef.round(config.amount) : round(config.amount) : this.instanceMode ? this.instanceRef.min((this.instanceMode ? this.instanceRef.width : width), (this.instanceMode ? this.instanceRef.height : height)) : min(width, height);
-            const bgPosX = this.instanceMode ? this.instanceRef.floor(this.#random()*_amount) : floor(this.#random()*_amount);
-            const bgPosY = this.instanceMode ? this.instanceRef.floor(this.#random()*_amount) : floor(this.#random()*_amount);
-            const bgPos = `${bgPosX}px ${bgPosY}px`;
+        this.#beginStream('textureAnimate', config);
+        const elt = textureElement instanceof p5.Element ? textureElement.elt : textureElement;
+        // animation state of the texture element
+        const state = this.#getAnimationState(
+            this.#textureAnimate,
+            elt,
+            () => this.#createAnimationState('textureAnimate')
+        );
+        // keep managed texture elements in sync with the canvas
+        if (this.#textureElements.has(elt)) {
+            this.#textureElements.get(elt)();
+        }
+        if (config && typeof config.opacity === 'number') {
+            elt.style.opacity = config.opacity;
+        }
+        if (this.#advanceAnimation(state, config, this.#getRenderTarget())) {
+            // rotation and scale jitter
+            const transform = config && (config.rotation || config.scale)
+                ? `rotate(${state.rotation}rad) scale(${state.scale})` : null;
+            const _method = config && config.method ? config.method : (
+                elt.querySelector('feTurbulence') ? 'seed' : 'offset'
+            );
+            if (_method === 'seed') {
+                this.#setTurbulenceSeed(elt, Math.round(state.x));
+                if (transform) {
+                    elt.style.transform = transform;
+                }
+                return;
+            }
+            const bgPos = `${state.x}px ${state.y}px`;
             if (textureElement instanceof HTMLElement) {
                 textureElement.style.backgroundPosition = bgPos;
+                if (transform) {
+                    textureElement.style.transform = transform;
+                }
             } else if (textureElement instanceof SVGElement) {
-                textureElement.style.top = `${-bgPosY}px`;
-                textureElement.style.left = `${-bgPosX}px`;
+                textureElement.style.top = `${-state.y}px`;
+                textureElement.style.left = `${-state.x}px`;
+                if (transform) {
+                    textureElement.style.transform = transform;
+                }
             } else if (textureElement instanceof p5.Element) {
                 textureElement.style('background-position', bgPos);
+                if (transform) {
+                    textureElement.style('transform', transform);
+                }
             }
-            this.#textureAnimate.frameCount = 0;
         }
     }
 
@@ -282,7 +1092,7 @@ class P5Grain {
      * 
      * @method textureOverlay
      * 
-     * @param {p5.Image} texture The texture image to blend over.
+     * @param {p5.Image|p5.Graphics} texture The texture image to blend over.
      * @param {Object} [config] Config object to configure the texture overlay.
      * @param {Number} [config.width] The width the texture image should have. 
      *     When no width is specified, the width of the texture image is 
@@ -299,8 +1109,40 @@ class P5Grain {
      * @param {Boolean} [config.reflect] Specifies whether the given texture
      *     image should reflect horizontally and vertically, in order to 
      *     provide seamless continuity.
+     * @param {Object} [config.region] The region the texture should be 
+     *     blended over. When no region is specified, the texture is blended 
+     *     over the entire canvas or context.
+     * @param {Number} config.region.x The x-coordinate of the region.
+     * @param {Number} config.region.y The y-coordinate of the region.
+     * @param {Number} config.region.width The width of the region.
+     * @param {Number} config.region.height The height of the region.
+     * @param {p5.Image|p5.Graphics} [config.mask] The mask whose luminance 
+     *     (or alpha) scales the strength of the texture per pixel. The mask 
+     *     is stretched to cover the entire canvas or context.
+     * @param {String} [config.maskMode] Either 'luminance' or 'alpha'. 
+     *     When no mask mode is specified, 'luminance' is used.
+     * @param {Boolean} [config.cache] Specifies whether the texture should 
+     *     be pre-tiled once into a cached offscreen layer, which is then 
+     *     blitted with a single draw call. The cache is invalidated when 
+     *     the texture size, reflect option, or canvas dimensions change. 
+     *     Call clearCache() when the texture image itself changes. When not 
+     *     specified, caching is enabled when the texture is animated. Pass 
+     *     false to disable caching.
+     * @param {String} [config.engine] Either 'canvas' or 'pixels'. The 
+     *     'canvas' engine draws the texture using blendMode(), whose 
+     *     behaviour differs between renderers and browsers. The 'pixels' 
+     *     engine blends the texture into the pixels array using p5.grain's 
+     *     own implementations of the blend modes, so that the output is 
+     *     identical regardless of the renderer. When no engine is 
+     *     specified, 'canvas' is used.
+     * @param {Number} [config.opacity] The opacity (0-1) of the texture. 
+     *     The opacity can be animated by passing a different value on every 
+     *     frame, e.g. to fade the texture in. When no opacity is specified, 
+     *     1 is used.
      * @param {Boolean|Object} [config.animate] Specifies whether the given 
-     *     texture image should be animated.
+     *     texture image should be animated. The animation state is tracked 
+     *     per canvas or context and texture image, so that multiple 
+     *     overlays can be animated independently.
      * @param {Number} [config.animate.atFrame] When animation is activated, 
      *     the frame at which the texture should be shifted. When atFrame 
      *     isn't specified, the texture is shifted every 2nd frame.
@@ -309,6 +1151,36 @@ class P5Grain {
      *     shifted. The actual amount of pixels which the texture is 
      *     shifted by is generated randomly. When no amount is specified, 
      *     the minimum of the main canvas width or height is used.
+     * @param {Number} [config.animate.interval] When animation is activated, 
+     *     the interval in milliseconds at which the texture should be 
+     *     shifted. When specified, the animation is driven by the elapsed 
+     *     time instead of the number of calls.
+     * @param {Number} [config.animate.frame] When animation is activated, 
+     *     the explicit frame index, e.g. frameCount. When specified, the 
+     *     texture is shifted every atFrame frames and the offset of a frame 
+     *     only depends on the seed and the frame index.
+     * @param {Number} [config.animate.seed] When animation is activated, the 
+     *     seed used to derive the offsets when interval or frame is 
+     *     specified. When no seed is specified, a seed is generated once 
+     *     per canvas or context and texture image.
+     * @param {String} [config.animate.motion] When animation is activated, 
+     *     the motion of the texture. Either 'shift', 'drift', 'wander' or 
+     *     'jitter' (see textureAnimate). When no motion is specified, 
+     *     'shift' is used.
+     * @param {Number|Object} [config.animate.velocity] When animation is 
+     *     activated, the velocity in pixels per step of the drift motion.
+     * @param {Number} [config.animate.smoothing] When animation is 
+     *     activated, the number of steps between two random positions of 
+     *     the wander motion.
+     * @param {Object} [config.animate.anchor] When animation is activated, 
+     *     the position (x, y) around which the texture wanders, jitters or 
+     *     from which it drifts.
+     * @param {Number} [config.animate.rotation] When animation is activated, 
+     *     the maximum angle in radians by which the texture is randomly 
+     *     rotated around the center of the canvas or context at every step.
+     * @param {Number} [config.animate.scale] When animation is activated, 
+     *     the maximum amount (0-1) by which the texture is randomly scaled 
+     *     up or down at every step.
      * @param {p5.Graphics} [pg] The offscreen graphics buffer onto which the 
      *     texture image should be drawn.
      */
@@ -316,155 +1188,3299 @@ class P5Grain {
         /** @internal */
         this.#validateArguments('textureOverlay', arguments);
         /** @end */
-        // flag whether drawing onto an offset graphics buffer
-        const isGraphicsBuffer = pg instanceof p5.Graphics;
+        this.#beginStream('textureOverlay', config);
+        // region the texture should be blended over
+        const _region = config && config.region ? config.region : null;
+        // mask scaling the strength of the texture
+        const _mask = config && config.mask ? config.mask : null;
+        // the canvas or context onto which the texture should be drawn
+        const target = this.#getRenderTarget(pg, _region);
+        const ref = target.ref;
+        // engine used to blend the texture
+        const _engine = config && config.engine ? config.engine : 'canvas';
+        // opacity of the texture
+        const _opacity = config && typeof config.opacity === 'number' ? config.opacity : 1;
+        // snapshot of the pixels before blending, used to apply region and mask
+        let snapshot = null;
+        if ((_region || _mask) && _engine !== 'pixels') {
+            target.loadPixels();
+            snapshot = target.pixels.slice();
+        }
         // width of the canvas or context
-        const _width = isGraphicsBuffer ? pg.width : this.instanceMode ? this.instanceRef.width : width;
+        const _width = target.width;
         // height of the canvas or context
-        const _height = isGraphicsBuffer ? pg.height : this.instanceMode ? this.instanceRef.height : height;
+        const _height = target.height;
         // blend mode used to blend the texture over the canvas or context
-        const _mode = config && config.mode ? config.mode : this.instanceMode ? this.instanceRef.MULTIPLY : MULTIPLY;
+        const _mode = config && config.mode ? config.mode : target.pInst.MULTIPLY;
         // should reflect flag
         const _reflect = config && config.reflect ? config.reflect : false;
         // should animate flag
         const _animate = config && config.animate ? config.animate : false;
-        // animate atFrame
-        const _animateAtFrame = (
-            config && config.animate && config.animate.atFrame
-            ? round(config.animate.atFrame) 
-            : 2
-        );
-        // animate amount
-        const _animateAmount = (
-            config && config.animate && config.animate.amount
-            ? this.instanceMode ? this.instanceRef.round(config.animate.amount) : round(config.animate.amount)
-            : this.instanceMode ? this.instanceRef.min(_width, _height) : min(_width, _height)
-        );
         // texture width
         const tW = config && typeof config.width === 'number' 
             ? config.width : textureImage.width;
         // texture height
         const tH = config && typeof config.height === 'number' 
             ? config.height : textureImage.height;
+        // should use cached pre-tiled layer flag
+        const _cache = config && typeof config.cache === 'boolean' 
+            ? config.cache : Boolean(_animate);
+        // animation states of the texture images on the canvas or context
+        const states = this.#getAnimationState(this.#textureOverlay, ref, () => new WeakMap());
+        // animation state of the texture image, only created when animating
+        const state = _animate
+            ? this.#getAnimationState(
+                states,
+                textureImage,
+                () => this.#createAnimationState('textureOverlay')
+            )
+            : states.get(textureImage) || { x: 0, y: 0, rotation: 0, scale: 1 };
         // animate the texture coordinates
         if (_animate) {
-            this.#textureOverlay.frameCount += 1;
-            if (this.#textureOverlay.frameCount >= _animateAtFrame) {
-                this.#textureOverlay.tX_anchor = (
-                    this.instanceMode ? -this.instanceRef.floor(this.#random()*_animateAmount) : -floor(this.#random()*_animateAmount)
-                );
-                this.#textureOverlay.tY = (
-                    this.instanceMode ? -this.instanceRef.floor(this.#random()*_animateAmount) : -floor(this.#random()*_animateAmount)
-                );
-                this.#textureOverlay.frameCount = 0;
+            this.#advanceAnimation(
+                state,
+                typeof _animate === 'object' ? _animate : null,
+                target
+            );
+        }
+        // tiling period
+        const periodX = _reflect ? 2 * tW : tW;
+        const periodY = _reflect ? 2 * tH : tH;
+        // margin covering the canvas or context when rotated and scaled
+        let marginX = 0;
+        let marginY = 0;
+        if (_animate && (_animate.rotation || _animate.scale)) {
+            const radius = Math.hypot(_width, _height) / (2 * (1 - (_animate.scale || 0)));
+            marginX = Math.ceil(radius / periodX) * periodX;
+            marginY = Math.ceil(radius / periodY) * periodY;
+        }
+        // texture start coordinates, offset within one tiling period
+        const startX = -(((state.x % periodX) + periodX) % periodX) - marginX;
+        const startY = -(((state.y % periodY) + periodY) % periodY) - marginY;
+        if (_engine === 'pixels') {
+            this.#blendTexturePixels(target, textureImage, {
+                tW,
+                tH,
+                reflect: _reflect,
+                offsetX: startX + marginX,
+                offsetY: startY + marginY,
+                rotation: state.rotation,
+                scale: state.scale,
+                mode: _mode,
+                opacity: _opacity,
+                maskWeight: _mask
+                    ? this.#getMaskWeight(_mask, target, config.maskMode) : null,
+            });
+            return;
+        }
+        ref.blendMode(_mode);
+        // apply the opacity
+        const prevAlpha = target.isWebGL ? null : ref.drawingContext.globalAlpha;
+        if (_opacity < 1) {
+            if (target.isWebGL) {
+                ref.tint(255, 255 * _opacity);
+            } else {
+                ref.drawingContext.globalAlpha = prevAlpha * _opacity;
             }
         }
-        // texture current start x-coordinate
-        let tX = this.#textureOverlay.tX_anchor;
-        // texture current start y-coordinate
-        let tY = this.#textureOverlay.tY;
-        // flag that the first texture row is currently drawn
-        let tRowFirst = true;
-        // flag that the first texture column is currently drawn
-        let tColFirst = true;
-        pg ? pg.blendMode(_mode) : this.instanceMode ? this.instanceRef.blendMode(_mode) : blendMode(_mode);
-        while (tY < _height) {
-            while (tX < _width) {
-                if (_reflect) {
-                    if (!isGraphicsBuffer) {
-                        this.instanceMode ? this.instanceRef.push() : push();
-                    } else {
-                        pg.push();
-                    }
-                    if (tRowFirst) {
-                        if (tColFirst) {
-                            if (!isGraphicsBuffer) {
-                                this.instanceMode ? this.instanceRef.image(textureImage, tX, tY, tW,  tH) : image(textureImage, tX, tY, tW,  tH);
-                            } else {
-                                pg.image(textureImage, tX, tY, tW,  tH);
-                            }
-                        } else { // tColSecond
-                            if (!isGraphicsBuffer) {
-                                this.instanceMode ? this.instanceRef.scale(-1, 1) : scale(-1, 1);
-                                this.instanceMode ? this.instanceRef.image(textureImage, -tX, tY, -tW, tH) : image(textureImage, -tX, tY, -tW, tH);
-                            } else {
-                                pg.scale(-1, 1);
-                                pg.image(textureImage, -tX, tY, -tW, tH);
-                            }
-                        }
-                    } else { // tRowSecond
-                        if (tColFirst) {
-                            if (!isGraphicsBuffer) {
-                                this.instanceMode ? this.instanceRef.scale(1, -1) : scale(1, -1);
-                                this.instanceMode ? this.instanceRef.image(textureImage, tX, -tY, tW, -tH) : image(textureImage, tX, -tY, tW, -tH);
-                            } else {
-                                pg.scale(1, -1);
-                                pg.image(textureImage, tX, -tY, tW, -tH);
-                            }
-                        } else { // tColSecond
-                            if (!isGraphicsBuffer) {
-                                this.instanceMode ? this.instanceRef.scale(-1, -1) : scale(-1, -1);
-                                this.instanceMode ? this.instanceRef.image(textureImage, -tX, -tY, -tW, -tH) : image(textureImage, -tX, -tY, -tW, -tH);
-                            } else {
-                                pg.scale(-1, -1);
-                                pg.image(textureImage, -tX, -tY, -tW, -tH);
-                            }
-                        }
-                    }
-                    if (!isGraphicsBuffer) {
-                        this.instanceMode ? this.instanceRef.pop() : pop();
-                    } else {
-                        pg.pop();
-                    }
-                } else {
-                    if (!isGraphicsBuffer) {
-                        this.instanceMode ? this.instanceRef.image(textureImage, tX, tY, tW, tH) : image(textureImage, tX, tY, tW, tH);
-                    } else {
-                        pg.image(textureImage, tX, tY, tW, tH);
-                    }
-                }
-                tX += tW;
-                if (tX >= _width) {
-                    tColFirst = true;
-                    tX = this.#textureOverlay.tX_anchor;
-                    tY += tH;
-                    break;
-                } else {
-                    tColFirst = !tColFirst;
-                }
+        const transform = state.rotation !== 0 || state.scale !== 1;
+        if (transform) {
+            // rotate and scale around the center of the canvas or context
+            const cos = Math.cos(state.rotation) * state.scale;
+            const sin = Math.sin(state.rotation) * state.scale;
+            ref.push();
+            ref.translate(_width/2, _height/2);
+            ref.applyMatrix(cos, sin, -sin, cos, 0, 0);
+            ref.translate(-_width/2, -_height/2);
+        }
+        if (_cache) {
+            // blit the cached pre-tiled layer
+            const layer = this.#getOverlayLayer(
+                target, textureImage, tW, tH, _reflect, marginX, marginY
+            );
+            ref.image(layer, startX, startY, layer.width, layer.height);
+        } else {
+            this.#drawTiles(
+                ref, textureImage, tW, tH, _reflect,
+                _width + marginX, _height + marginY,
+                startX, startY
+            );
+        }
+        if (transform) {
+            ref.pop();
+        }
+        // reset opacity
+        if (_opacity < 1) {
+            if (target.isWebGL) {
+                ref.noTint();
+            } else {
+                ref.drawingContext.globalAlpha = prevAlpha;
             }
-            tRowFirst = !tRowFirst;
         }
         // reset blend mode
-        pg ? pg.blendMode(this.instanceMode ? this.instanceRef.BLEND : BLEND) : this.instanceMode ? this.instanceRef.blendMode(this.instanceRef.BLEND) : blendMode(BLEND);
+        ref.blendMode(target.pInst.BLEND);
         // reset context
-        if (isGraphicsBuffer) {
-            pg.reset();
+        if (target.isGraphics) {
+            ref.reset();
+        }
+        // limit the texture to region and mask
+        if (snapshot) {
+            const maskWeight = _mask
+                ? this.#getMaskWeight(_mask, target, config.maskMode) : null;
+            this.#restoreSnapshot(target, snapshot, maskWeight);
         }
     }
 
-
-    /********************
-     * Internal methods *
-     ********************/
-
     /**
-     * Generate a random integer between given bounds inclusively.
+     * Darken (or tint) the edges of the canvas or context, simulating the 
+     * light fall-off of a lens.
      * 
-     * @private
-     * @method randomIntInclusive
+     * @example
+     * <p>Apply a strong vignette with a sharp edge:</p>
+     * <code>
+     *     p5grain.vignette({ amount: 0.8, softness: 0.2 });
+     * </code>
      * 
-     * @param {Number} min Min value that may be generated.
-     * @param {Number} max Max value that may be generated.
-     * @returns {Number}
+     * @method vignette
+     * 
+     * @param {Object} [config] Config object to configure the vignette.
+     * @param {Number} [config.amount] The strength (0-1) of the vignette. 
+     *     When no amount is specified, 0.5 is used.
+     * @param {Number} [config.radius] The distance (0-1) from the center to 
+     *     the corners at which the vignette starts. When no radius is 
+     *     specified, 0.5 is used.
+     * @param {Number} [config.softness] The distance (0-1) over which the 
+     *     vignette fades in. When no softness is specified, 0.5 is used.
+     * @param {Number[]} [config.color] The RGB color of the vignette. When 
+     *     no color is specified, black is used.
+     * @param {Object} [config.center] The center (x, y) of the vignette. 
+     *     When no center is specified, the center of the canvas (or 
+     *     context) is used.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
      */
-    #randomIntInclusive(min, max) {
-        min = Math.ceil(min);
-        max = Math.floor(max);
-        return Math.floor(this.#random() * (max - min + 1) + min);
+    vignette(config, pg) {
+        /** @internal */
+        this.#validateArguments('vignette', arguments);
+        /** @end */
+        const _config = config || {};
+        const _amount = typeof _config.amount === 'number' ? _config.amount : 0.5;
+        const _radius = typeof _config.radius === 'number' ? _config.radius : 0.5;
+        const _softness = typeof _config.softness === 'number' ? _config.softness : 0.5;
+        const _color = _config.color || [0, 0, 0];
+        const target = this.#getRenderTarget(pg);
+        const { pixelWidth, pixelHeight, density } = target;
+        const centerX = (_config.center ? _config.center.x : target.width / 2) * density;
+        const centerY = (_config.center ? _config.center.y : target.height / 2) * density;
+        target.loadPixels();
+        const _pixels = target.pixels;
+        this.#forEachPixel(target, (i, x, y) => {
+            // elliptical distance, which is 1 in the corners
+            const dX = (x + 0.5 - centerX) / pixelWidth;
+            const dY = (y + 0.5 - centerY) / pixelHeight;
+            const distance = Math.sqrt(2 * (dX * dX + dY * dY));
+            let t = _softness > 0
+                ? Math.min(Math.max((distance - _radius) / _softness, 0), 1)
+                : distance >= _radius ? 1 : 0;
+            t = _amount * t * t * (3 - 2 * t);
+            if (t > 0) {
+                for (let c = 0; c < 3; c++) {
+                    _pixels[i+c] = Math.round(_pixels[i+c] + (_color[c] - _pixels[i+c]) * t);
+                }
+            }
+        });
+        target.updatePixels();
+    }
+
+    /**
+     * Add procedurally placed dust specks and scratches (hairlines) to the 
+     * canvas or context.
+     * 
+     * The specks and scratches are placed using the configured random 
+     * function, so that they change on every call. When a frame is 
+     * specified, they only depend on the seed and the frame, e.g. to 
+     * animate them per frame in a reproducible way.
+     * 
+     * @example
+     * <p>Animate dust and scratches per frame:</p>
+     * <code>
+     *     p5grain.dustAndScratches({ dust: 60, frame: frameCount });
+     * </code>
+     * 
+     * @method dustAndScratches
+     * 
+     * @param {Object} [config] Config object to configure the dust and 
+     *     scratches.
+     * @param {Number} [config.dust] The number of dust specks. When not 
+     *     specified, 30 specks are placed.
+     * @param {Number} [config.scratches] The number of scratches. When not 
+     *     specified, 2 scratches are placed.
+     * @param {Number} [config.size] The maximum radius of the dust specks 
+     *     in pixels. When no size is specified, 3 is used.
+     * @param {Number[]} [config.color] The RGB color of the dust and 
+     *     scratches. When no color is specified, white is used.
+     * @param {Number} [config.opacity] The maximum opacity (0-1) of the 
+     *     dust and scratches. When no opacity is specified, 0.8 is used.
+     * @param {Number} [config.frame] The frame index, e.g. frameCount.
+     * @param {Number} [config.seed] The seed used to place the dust and 
+     *     scratches. When a frame but no seed is specified, a seed is 
+     *     generated once per canvas (or context).
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    dustAndScratches(config, pg) {
+        /** @internal */
+        this.#validateArguments('dustAndScratches', arguments);
+        /** @end */
+        this.#beginStream('dustAndScratches', config);
+        const _config = config || {};
+        const _dust = typeof _config.dust === 'number' ? Math.round(_config.dust) : 30;
+        const _scratches = typeof _config.scratches === 'number' ? Math.round(_config.scratches) : 2;
+        const _size = typeof _config.size === 'number' ? _config.size : 3;
+        const _color = _config.color || [255, 255, 255];
+        const _opacity = typeof _config.opacity === 'number' ? _config.opacity : 0.8;
+        const target = this.#getRenderTarget(pg);
+        const { pixelWidth, pixelHeight, density } = target;
+        const random = this.#getArtifactRandom('dustAndScratches', target, _config);
+        target.loadPixels();
+        const _pixels = target.pixels;
+        const blend = (x, y, alpha) => {
+            if (alpha <= 0 || x < 0 || x >= pixelWidth || y < 0 || y >= pixelHeight) {
+                return;
+            }
+            const i = 4 * (y * pixelWidth + x);
+            for (let c = 0; c < 3; c++) {
+                _pixels[i+c] = Math.round(_pixels[i+c] + (_color[c] - _pixels[i+c]) * alpha);
+            }
+        };
+        // dust specks, i.e. clusters of soft discs
+        for (let k = 0; k < _dust; k++) {
+            const speckX = random() * pixelWidth;
+            const speckY = random() * pixelHeight;
+            const radius = (0.5 + random() * Math.max(_size - 0.5, 0)) * density;
+            const alpha = _opacity * (0.4 + 0.6 * random());
+            const discs = 1 + Math.floor(random() * 3);
+            for (let d = 0; d < discs; d++) {
+                const discX = speckX + (random() - 0.5) * radius;
+                const discY = speckY + (random() - 0.5) * radius;
+                const discRadius = radius * (0.4 + 0.6 * random());
+                for (let y = Math.floor(discY - discRadius); y <= Math.ceil(discY + discRadius); y++) {
+                    for (let x = Math.floor(discX - discRadius); x <= Math.ceil(discX + discRadius); x++) {
+                        const distance = Math.hypot(x + 0.5 - discX, y + 0.5 - discY);
+                        const coverage = Math.min(Math.max(discRadius + 0.5 - distance, 0), 1);
+                        blend(x, y, alpha * coverage);
+                    }
+                }
+            }
+        }
+        // scratches, i.e. slightly wobbling vertical hairlines
+        for (let k = 0; k < _scratches; k++) {
+            const startX = random() * pixelWidth;
+            const startY = random() * pixelHeight * 0.5;
+            const endY = Math.min(startY + pixelHeight * (0.3 + 0.7 * random()), pixelHeight);
+            const slope = (random() - 0.5) * 0.04;
+            const wobble = random() * 2 * density;
+            const phase = random() * 2 * Math.PI;
+            const frequency = (1 + random() * 3) * 2 * Math.PI / pixelHeight;
+            const halfWidth = (0.3 + 0.4 * random()) * density;
+            const alpha = _opacity * (0.3 + 0.5 * random());
+            const fadeLength = 8 * density;
+            for (let y = Math.floor(startY); y < endY; y++) {
+                const centerX = startX + slope * (y - startY) + Math.sin(phase + y * frequency) * wobble;
+                // fade the ends of the scratch
+                const fade = Math.min((y - startY) / fadeLength, (endY - y) / fadeLength, 1);
+                for (let x = Math.floor(centerX - halfWidth - 1); x <= Math.ceil(centerX + halfWidth + 1); x++) {
+                    const coverage = Math.min(Math.max(halfWidth + 0.5 - Math.abs(x + 0.5 - centerX), 0), 1);
+                    blend(x, y, alpha * fade * coverage);
+                }
+            }
+        }
+        target.updatePixels();
+    }
+
+    /**
+     * Add light leaks, i.e. soft additive color gradients entering from the
+     * edges of the canvas or context.
+     * 
+     * The light leaks are placed using the configured random function. 
+     * Specify a seed to keep the light leaks in place across frames.
+     * 
+     * @example
+     * <p>Add warm light leaks that stay in place:</p>
+     * <code>
+     *     p5grain.lightLeak({ count: 3, seed: 42 });
+     * </code>
+     * 
+     * @method lightLeak
+     * 
+     * @param {Object} [config] Config object to configure the light leaks.
+     * @param {Number} [config.count] The number of light leaks. When no 
+     *     count is specified, 2 light leaks are added.
+     * @param {Number[][]} [config.colors] The RGB colors the light leaks are
+     *     randomly picked from. When no colors are specified, warm red, 
+     *     orange and pink colors are used.
+     * @param {Number} [config.intensity] The maximum intensity (0-1) of the 
+     *     light leaks. When no intensity is specified, 0.5 is used.
+     * @param {Number} [config.size] The maximum size of the light leaks 
+     *     relative to the diagonal of the canvas (or context). When no size 
+     *     is specified, 0.6 is used.
+     * @param {Number} [config.seed] The seed used to place the light leaks.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    lightLeak(config, pg) {
+        /** @internal */
+        this.#validateArguments('lightLeak', arguments);
+        /** @end */
+        this.#beginStream('lightLeak', config);
+        const _config = config || {};
+        const _count = typeof _config.count === 'number' ? Math.round(_config.count) : 2;
+        const _colors = _config.colors || [[255, 96, 32], [255, 176, 64], [255, 48, 96]];
+        const _intensity = typeof _config.intensity === 'number' ? _config.intensity : 0.5;
+        const _size = typeof _config.size === 'number' ? _config.size : 0.6;
+        const target = this.#getRenderTarget(pg);
+        const { pixelWidth, pixelHeight } = target;
+        const random = this.#getArtifactRandom('lightLeak', target, _config);
+        const diagonal = Math.hypot(pixelWidth, pixelHeight);
+        const leaks = [];
+        for (let k = 0; k < _count; k++) {
+            const side = Math.floor(random() * 4);
+            const along = random();
+            const radius = _size * diagonal * (0.5 + 0.5 * random());
+            const horizontal = side < 2;
+            leaks.push({
+                // centers slightly outside the left, right, top or bottom edge
+                x: horizontal ? (side === 0 ? -0.1 : 1.1) * pixelWidth : along * pixelWidth,
+                y: horizontal ? along * pixelHeight : (side === 2 ? -0.1 : 1.1) * pixelHeight,
+                // stretched along the edge
+                radiusX: horizontal ? radius : 1.5 * radius,
+                radiusY: horizontal ? 1.5 * radius : radius,
+                color: _colors[Math.floor(random() * _colors.length)],
+                strength: _intensity * (0.5 + 0.5 * random()),
+            });
+        }
+        target.loadPixels();
+        const _pixels = target.pixels;
+        this.#forEachPixel(target, (i, x, y) => {
+            for (const leak of leaks) {
+                const dX = (x - leak.x) / leak.radiusX;
+                const dY = (y - leak.y) / leak.radiusY;
+                const falloff = 1 - (dX * dX + dY * dY);
+                if (falloff > 0) {
+                    const weight = falloff * falloff * leak.strength;
+                    for (let c = 0; c < 3; c++) {
+                        _pixels[i+c] = this.#clamp(Math.round(_pixels[i+c] + leak.color[c] * weight));
+                    }
+                }
+            }
+        });
+        target.updatePixels();
+    }
+
+    /**
+     * Add halation, i.e. a red glow around the highlights of the canvas or 
+     * context, simulating light scattering back through film.
+     * 
+     * @example
+     * <p>Add a strong, wide halation:</p>
+     * <code>
+     *     p5grain.halation({ intensity: 0.9, radius: 24 });
+     * </code>
+     * 
+     * @method halation
+     * 
+     * @param {Object} [config] Config object to configure the halation.
+     * @param {Number} [config.threshold] The luminance (0-1) above which 
+     *     pixels glow. When no threshold is specified, 0.75 is used.
+     * @param {Number} [config.radius] The radius of the glow in pixels. 
+     *     When no radius is specified, 12 is used.
+     * @param {Number} [config.intensity] The intensity (0-1) of the glow. 
+     *     When no intensity is specified, 0.6 is used.
+     * @param {Number[]} [config.color] The RGB color of the glow. When no 
+     *     color is specified, a red-orange color is used.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    halation(config, pg) {
+        /** @internal */
+        this.#validateArguments('halation', arguments);
+        /** @end */
+        const _config = config || {};
+        const _threshold = typeof _config.threshold === 'number' ? _config.threshold : 0.75;
+        const _radius = typeof _config.radius === 'number' ? _config.radius : 12;
+        const _intensity = typeof _config.intensity === 'number' ? _config.intensity : 0.6;
+        const _color = _config.color || [255, 64, 32];
+        const target = this.#getRenderTarget(pg);
+        const { pixelWidth, pixelHeight, density } = target;
+        target.loadPixels();
+        const _pixels = target.pixels;
+        // highlights above the threshold
+        const glow = new Float32Array(pixelWidth * pixelHeight);
+        for (let k = 0; k < glow.length; k++) {
+            const luminance = this.#luminance(_pixels, 4 * k);
+            glow[k] = luminance > _threshold ? (luminance - _threshold) / (1 - _threshold) : 0;
+        }
+        this.#blur(glow, pixelWidth, pixelHeight, Math.round(_radius * density));
+        this.#forEachPixel(target, (i) => {
+            const weight = glow[i / 4] * _intensity;
+            if (weight > 0) {
+                for (let c = 0; c < 3; c++) {
+                    // screen the glow onto the pixel
+                    _pixels[i+c] = Math.round(_pixels[i+c] + _color[c] * weight * (1 - _pixels[i+c] / 255));
+                }
+            }
+        });
+        target.updatePixels();
+    }
+
+    /**
+     * Dither the canvas or context, i.e. quantize its colors to the given 
+     * number of levels per channel or to the given palette, while 
+     * preserving the perceived tones by either ordered thresholds or error 
+     * diffusion.
+     * 
+     * Dithering is applied to cells of the given size in canvas pixels, so 
+     * that the pattern looks the same regardless of the pixel density. The 
+     * alpha channel is not modified.
+     * 
+     * @example
+     * <p>Dither to a two-color palette using a Bayer matrix:</p>
+     * <code>
+     *     p5grain.dither({
+     *         method: 'bayer',
+     *         palette: [color('#1b1b3a'), color('#f4e9cd')],
+     *     });
+     * </code>
+     * 
+     * @method dither
+     * 
+     * @param {Object} [config] Config object to configure the dithering.
+     * @param {String} [config.method] The dithering method. Either 'bayer' 
+     *     (ordered Bayer matrix), 'blue-noise' (blue noise thresholds), 
+     *     'floyd-steinberg', 'atkinson' or 'jarvis' (error diffusion). When 
+     *     no method is specified, 'floyd-steinberg' is used.
+     * @param {Number} [config.matrixSize] The size of the Bayer matrix. 
+     *     Either 2, 4 or 8. When no matrix size is specified, 4 is used.
+     * @param {Number} [config.levels] The number of levels per channel. 
+     *     When no levels are specified, 2 levels are used.
+     * @param {Array<p5.Color|Number[]>} [config.palette] The palette colors,
+     *     either p5.Color instances or RGB arrays. When specified, the 
+     *     colors are quantized to the nearest palette color instead of 
+     *     levels per channel.
+     * @param {Number} [config.spread] The strength (0-255) of the thresholds
+     *     of ordered dithering. When no spread is specified, the distance 
+     *     between two levels is used, i.e. 255 / (levels - 1), or 255 / 
+     *     (number of palette colors - 1).
+     * @param {Boolean} [config.serpentine] Specifies whether error diffusion 
+     *     should alternate the direction of every row, which reduces 
+     *     directional artifacts.
+     * @param {Number} [config.size] The size of the dithered cells in canvas
+     *     pixels. When no size is specified, a size of 1 is used.
+     * @param {Object} [config.region] The region that should be dithered. 
+     *     When no region is specified, the entire canvas or context is 
+     *     dithered.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer whose pixels 
+     *     should be manipulated.
+     */
+    dither(config, pg) {
+        /** @internal */
+        this.#validateArguments('dither', arguments);
+        /** @end */
+        const _config = config || {};
+        const _method = _config.method || 'floyd-steinberg';
+        const _palette = _config.palette
+            ? _config.palette.map((color) => color instanceof p5.Color ? color.levels.slice(0, 3) : color)
+            : null;
+        const _levels = _config.levels ? Math.round(_config.levels) : 2;
+        const _spread = typeof _config.spread === 'number' ? _config.spread
+            : 255 / Math.max((_palette ? _palette.length : _levels) - 1, 1);
+        const target = this.#getRenderTarget(pg, _config.region);
+        const { x0, y0, x1, y1 } = target;
+        const cellSize = (_config.size || 1) * target.density;
+        const cols = Math.ceil((x1 - x0) / cellSize);
+        const rows = Math.ceil((y1 - y0) / cellSize);
+        const cell = (x, y) => Math.floor((y - y0) / cellSize) * cols + Math.floor((x - x0) / cellSize);
+        target.loadPixels();
+        const _pixels = target.pixels;
+        // average color of every cell
+        const colors = new Float32Array(3 * cols * rows);
+        const counts = new Uint32Array(cols * rows);
+        this.#forEachPixel(target, (i, x, y) => {
+            const k = cell(x, y);
+            colors[3*k] += _pixels[i];
+            colors[3*k+1] += _pixels[i+1];
+            colors[3*k+2] += _pixels[i+2];
+            counts[k]++;
+        });
+        for (let k = 0; k < counts.length; k++) {
+            for (let c = 0; c < 3; c++) {
+                colors[3*k+c] /= counts[k] || 1;
+            }
+        }
+        // quantize the given color in place
+        const step = 255 / (_levels - 1);
+        const quantize = (color) => {
+            if (!_palette) {
+                for (let c = 0; c < 3; c++) {
+                    color[c] = Math.min(Math.max(Math.round(color[c] / step) * step, 0), 255);
+                }
+                return;
+            }
+            let nearest = _palette[0];
+            let nearestDistance = Infinity;
+            for (const paletteColor of _palette) {
+                const dR = color[0] - paletteColor[0];
+                const dG = color[1] - paletteColor[1];
+                const dB = color[2] - paletteColor[2];
+                const distance = dR * dR + dG * dG + dB * dB;
+                if (distance < nearestDistance) {
+                    nearest = paletteColor;
+                    nearestDistance = distance;
+                }
+            }
+            color[0] = nearest[0];
+            color[1] = nearest[1];
+            color[2] = nearest[2];
+        };
+        const result = new Uint8ClampedArray(3 * cols * rows);
+        const color = [0, 0, 0];
+        const kernel = P5Grain.#ditherKernels[_method];
+        if (kernel) {
+            // error diffusion
+            for (let row = 0; row < rows; row++) {
+                const reverse = _config.serpentine && row % 2 === 1;
+                for (let n = 0; n < cols; n++) {
+                    const col = reverse ? cols - 1 - n : n;
+                    const k = row * cols + col;
+                    for (let c = 0; c < 3; c++) {
+                        color[c] = colors[3*k+c];
+                    }
+                    quantize(color);
+                    for (let c = 0; c < 3; c++) {
+                        const error = colors[3*k+c] - color[c];
+                        result[3*k+c] = Math.round(color[c]);
+                        for (const [dX, dY, weight] of kernel) {
+                            const nCol = col + (reverse ? -dX : dX);
+                            const nRow = row + dY;
+                            if (nCol >= 0 && nCol < cols && nRow < rows) {
+                                colors[3*(nRow*cols+nCol)+c] += error * weight;
+                            }
+                        }
+                    }
+                }
+            }
+        } else {
+            // ordered dithering
+            let size, thresholds;
+            if (_method === 'blue-noise') {
+                size = 64;
+                thresholds = this.#getBlueNoise();
+            } else {
+                size = _config.matrixSize || 4;
+                thresholds = this.#getBayerMatrix(size);
+            }
+            const total = size * size;
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const k = row * cols + col;
+                    const offset = ((thresholds[(row % size) * size + col % size] + 0.5) / total - 0.5) * _spread;
+                    for (let c = 0; c < 3; c++) {
+                        color[c] = colors[3*k+c] + offset;
+                    }
+                    quantize(color);
+                    for (let c = 0; c < 3; c++) {
+                        result[3*k+c] = Math.round(color[c]);
+                    }
+                }
+            }
+        }
+        this.#forEachPixel(target, (i, x, y) => {
+            const k = cell(x, y);
+            _pixels[i] = result[3*k];
+            _pixels[i+1] = result[3*k+1];
+            _pixels[i+2] = result[3*k+2];
+        });
+        target.updatePixels();
+    }
+
+    /**
+     * Clear all cached offscreen layers and buffers, i.e. the pre-tiled 
+     * texture layers used by textureOverlay and the shader buffer used by 
+     * granulateShader.
+     * 
+     * Call this method when a cached texture image has changed, or to free 
+     * memory when the cached layers are no longer needed.
+     * 
+     * @method clearCache
+     */
+    clearCache() {
+        this.#cachedLayers.forEach((layer) => layer.remove());
+        this.#cachedLayers.clear();
+        this.#overlayLayers = new WeakMap();
+        if (this.#shaderGranulate.buffer) {
+            this.#shaderGranulate.buffer.remove();
+            this.#shaderGranulate.buffer = null;
+            this.#shaderGranulate.shader = null;
+        }
+    }
+
+    /**
+     * Procedurally generate a seamlessly tileable texture image.
+     * 
+     * The generated texture can be used directly with textureOverlay, so 
+     * that no texture image asset needs to be loaded. The texture is 
+     * deterministic: when no seed is specified, the seed is generated 
+     * using the configured random function.
+     * 
+     * Supported texture types:
+     * - 'value': value noise
+     * - 'perlin': Perlin (gradient) noise
+     * - 'fractal': fractal Perlin noise (multiple octaves)
+     * - 'paper': fractal noise with paper fibres
+     * - 'canvas': canvas weave
+     * - 'halftone': halftone dots modulated by noise
+     * 
+     * @example
+     * <p>Generate a paper texture and blend it over the canvas:</p>
+     * <code>
+     *     const textureImage = p5grain.createTexture({ type: 'paper' });
+     *     p5grain.textureOverlay(textureImage);
+     * </code>
+     * 
+     * @method createTexture
+     * 
+     * @param {Object} [config] Config object to configure the texture.
+     * @param {String} [config.type] The texture type. Either 'value', 
+     *     'perlin', 'fractal', 'paper', 'canvas' or 'halftone'. When no 
+     *     type is specified, 'fractal' is used.
+     * @param {Number} [config.width] The width of the texture. When no 
+     *     width is specified, a width of 256 is used.
+     * @param {Number} [config.height] The height of the texture. When no 
+     *     height is specified, the width is used.
+     * @param {Number} [config.frequency] The number of noise cells (or 
+     *     threads, or dots) along the horizontal axis. It is rounded to an 
+     *     integer so that the texture stays tileable. When no frequency is 
+     *     specified, a frequency of 8 is used.
+     * @param {Number} [config.octaves] The number of noise octaves. When no 
+     *     octaves are specified, 4 octaves are used for the types 'fractal' 
+     *     and 'paper', otherwise 1.
+     * @param {Number} [config.contrast] The contrast of the texture. When 
+     *     no contrast is specified, a contrast of 1 is used.
+     * @param {Number} [config.seed] The seed of the texture. When no seed 
+     *     is specified, the seed is generated using the configured random 
+     *     function.
+     * @param {Boolean} [config.graphics] Specifies whether a p5.Graphics 
+     *     should be returned instead of a p5.Image.
+     * @returns {p5.Image|p5.Graphics} The generated texture.
+     */
+    createTexture(config) {
+        /** @internal */
+        this.#validateArguments('createTexture', arguments);
+        /** @end */
+        this.#beginStream('createTexture', config);
+        const _type = config && config.type ? config.type : 'fractal';
+        const _width = config && config.width ? Math.round(config.width) : 256;
+        const _height = config && config.height ? Math.round(config.height) : _width;
+        const _frequency = config && config.frequency ? config.frequency : 8;
+        const _octaves = config && config.octaves
+            ? Math.round(config.octaves)
+            : _type === 'fractal' || _type === 'paper' ? 4 : 1;
+        const _contrast = config && typeof config.contrast === 'number' ? config.contrast : 1;
+        const _seed = config && typeof config.seed === 'number'
+            ? config.seed : Math.floor(this.#random() * 4294967296);
+        const rand = this.#mulberry32(_seed);
+        // number of cells along each axis, rounded so the texture tiles
+        const cellsX = Math.max(1, Math.round(_frequency));
+        const cellsY = Math.max(1, Math.round(_frequency * _height / _width));
+        let values;
+        switch (_type) {
+            case 'value':
+            case 'perlin':
+            case 'fractal':
+                values = this.#noiseValues(rand, _width, _height, cellsX, cellsY, _octaves, _type === 'value');
+                break;
+            case 'paper':
+                values = this.#paperValues(rand, _width, _height, cellsX, cellsY, _octaves);
+                break;
+            case 'canvas':
+                values = this.#canvasValues(rand, _width, _height, cellsX, cellsY);
+                break;
+            case 'halftone':
+                values = this.#halftoneValues(rand, _width, _height, cellsX, cellsY, _octaves);
+                break;
+        }
+        const pInst = this.#getRenderTarget().pInst;
+        let textureImage;
+        if (config && config.graphics) {
+            textureImage = pInst.createGraphics(_width, _height);
+            textureImage.pixelDensity(1);
+        } else {
+            textureImage = pInst.createImage(_width, _height);
+        }
+        textureImage.loadPixels();
+        const _pixels = textureImage.pixels;
+        for (let k = 0, i = 0; k < values.length; k++, i += 4) {
+            const value = this.#clamp(Math.round(((values[k] - 0.5) * _contrast + 0.5) * 255));
+            _pixels[i] = value;
+            _pixels[i+1] = value;
+            _pixels[i+2] = value;
+            _pixels[i+3] = 255;
+        }
+        textureImage.updatePixels();
+        return textureImage;
+    }
+
+    /**
+     * Turn the given texture image into a seamlessly tileable texture image.
+     * 
+     * Supported methods:
+     * - 'crossfade': The opposite edges of the texture image are 
+     *   crossfaded over the given border width. The resulting texture 
+     *   image is smaller by the border width in both dimensions.
+     * - 'offset': The texture image is offset by half its dimensions, so 
+     *   that the seams move to the center, and blended with the original 
+     *   texture image towards the edges. The resulting texture image keeps 
+     *   its dimensions.
+     * 
+     * The resulting texture image can be used with textureOverlay, or it 
+     * can be exported (e.g. via `save()`) to be used as the background 
+     * image of a texture element.
+     * 
+     * @example
+     * <p>Blend a seamless version of a texture image over the canvas:</p>
+     * <code>
+     *     const seamlessImage = p5grain.makeSeamless(textureImage, {
+     *         border: 32,
+     *     });
+     *     p5grain.textureOverlay(seamlessImage);
+     * </code>
+     * 
+     * @method makeSeamless
+     * 
+     * @param {p5.Image|p5.Graphics} textureImage The texture image.
+     * @param {Object} [config] Config object to configure the seamless 
+     *     texture image.
+     * @param {String} [config.method] Either 'crossfade' or 'offset'. When 
+     *     no method is specified, 'crossfade' is used.
+     * @param {Number} [config.border] The width of the border (in pixels) 
+     *     that is blended. When no border is specified, a quarter of the 
+     *     minimum of the texture image width or height is used.
+     * @returns {p5.Image} The seamless texture image.
+     */
+    makeSeamless(textureImage, config) {
+        /** @internal */
+        this.#validateArguments('makeSeamless', arguments);
+        /** @end */
+        textureImage.loadPixels();
+        const density = typeof textureImage.pixelDensity === 'function' ? textureImage.pixelDensity() : 1;
+        const srcPixels = textureImage.pixels;
+        const srcW = Math.floor(textureImage.width * density);
+        const srcH = Math.floor(textureImage.height * density);
+        const _method = config && config.method ? config.method : 'crossfade';
+        const _border = Math.max(1, Math.min(
+            config && config.border ? Math.round(config.border * density) : Math.round(Math.min(srcW, srcH) / 4),
+            Math.floor(Math.min(srcW, srcH) / 2)
+        ));
+        const isCrossfade = _method === 'crossfade';
+        const outW = isCrossfade ? srcW - _border : srcW;
+        const outH = isCrossfade ? srcH - _border : srcH;
+        const seamlessImage = this.#getRenderTarget().pInst.createImage(outW, outH);
+        seamlessImage.loadPixels();
+        const outPixels = seamlessImage.pixels;
+        if (isCrossfade) {
+            // crossfade horizontally into a temporary buffer
+            const tmp = new Float32Array(4 * outW * srcH);
+            for (let y = 0; y < srcH; y++) {
+                for (let x = 0; x < outW; x++) {
+                    const t = x < _border ? x / _border : 1;
+                    const i = 4 * (y * srcW + x);
+                    const j = 4 * (y * srcW + x + outW);
+                    for (let c = 0; c < 4; c++) {
+                        tmp[4 * (y * outW + x) + c] = x < _border
+                            ? srcPixels[j+c] * (1 - t) + srcPixels[i+c] * t
+                            : srcPixels[i+c];
+                    }
+                }
+            }
+            // crossfade vertically
+            for (let y = 0; y < outH; y++) {
+                const t = y < _border ? y / _border : 1;
+                for (let x = 0; x < outW; x++) {
+                    const i = 4 * (y * outW + x);
+                    const j = 4 * ((y + outH) * outW + x);
+                    for (let c = 0; c < 4; c++) {
+                        outPixels[i+c] = y < _border
+                            ? tmp[j+c] * (1 - t) + tmp[i+c] * t
+                            : tmp[i+c];
+                    }
+                }
+            }
+        } else {
+            const halfW = Math.floor(srcW / 2);
+            const halfH = Math.floor(srcH / 2);
+            for (let y = 0; y < srcH; y++) {
+                const edgeY = 1 - Math.min(Math.min(y, srcH - 1 - y) / _border, 1);
+                const offsetY = (y + halfH) % srcH;
+                for (let x = 0; x < srcW; x++) {
+                    const edgeX = 1 - Math.min(Math.min(x, srcW - 1 - x) / _border, 1);
+                    // weight of the offset texture, which is seamless at the edges
+                    const t = Math.max(edgeX, edgeY);
+                    const i = 4 * (y * srcW + x);
+                    const j = 4 * (offsetY * srcW + (x + halfW) % srcW);
+                    for (let c = 0; c < 4; c++) {
+                        outPixels[i+c] = srcPixels[i+c] * (1 - t) + srcPixels[j+c] * t;
+                    }
+                }
+            }
+        }
+        seamlessImage.updatePixels();
+        return seamlessImage;
+    }
+
+    /**
+     * Create a texture element rendered by an SVG filter and inject it into 
+     * the document.
+     * 
+     * The texture is rendered by an feTurbulence filter primitive, either 
+     * inside an inline SVG element, or as the URL-encoded background image 
+     * of a div element. The texture element covers the browser window and 
+     * can be animated using textureAnimate, which changes the seed of the 
+     * turbulence.
+     * 
+     * @example
+     * <p>Create an SVG texture element and animate it:</p>
+     * <code>
+     *     const textureElement = p5grain.createSVGTexture({ baseFrequency: 0.8 });
+     *     p5grain.textureAnimate(textureElement);
+     * </code>
+     * 
+     * @method createSVGTexture
+     * 
+     * @param {Object} [config] Config object to configure the SVG texture.
+     * @param {String} [config.type] The turbulence type. Either 
+     *     'turbulence' or 'fractalNoise'. When no type is specified, 
+     *     'turbulence' is used.
+     * @param {Number|String} [config.baseFrequency] The base frequency of 
+     *     the turbulence, optionally as two numbers for the horizontal and 
+     *     vertical axes, e.g. '0.8 0.4'. When no base frequency is 
+     *     specified, 1 is used.
+     * @param {Number} [config.numOctaves] The number of octaves of the 
+     *     turbulence. When no number of octaves is specified, 1 is used.
+     * @param {Number} [config.seed] The initial seed of the turbulence. When 
+     *     no seed is specified, 0 is used.
+     * @param {Boolean} [config.urlEncoded] Specifies whether the SVG should 
+     *     be URL-encoded and used as the background image of a div element 
+     *     instead of an inline SVG element.
+     * @param {Number} [config.size] The size in pixels of the background 
+     *     image tiles of the URL-encoded SVG. When no size is specified, 
+     *     128 is used.
+     * @param {HTMLElement} [config.parent] The element into which the texture 
+     *     element should be injected. When no parent is specified, the 
+     *     document body is used.
+     * @returns {SVGElement|HTMLElement} The texture element.
+     */
+    createSVGTexture(config) {
+        /** @internal */
+        this.#validateArguments('createSVGTexture', arguments);
+        /** @end */
+        const textureElement = this.#createSVGFilterElement(config);
+        // cover the browser window, letting pointer events through
+        Object.assign(textureElement.style, {
+            position: 'fixed',
+            zIndex: 99,
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+        });
+        (config && config.parent ? config.parent : document.body).appendChild(textureElement);
+        return textureElement;
+    }
+
+    /**
+     * Create a texture element positioned over the canvas and return it as 
+     * a p5.Element, which can be animated using textureAnimate.
+     * 
+     * The texture is either the given texture image URL, the given texture 
+     * image (e.g. a procedural texture created using createTexture), or an 
+     * SVG filter. The texture element is inserted next to the canvas and 
+     * follows the position and size of the canvas, e.g. when the canvas or 
+     * the browser window is resized.
+     * 
+     * @example
+     * <p>Create a texture element from a procedural texture:</p>
+     * <code>
+     *     const textureElement = p5grain.createTextureElement({
+     *         image: p5grain.createTexture({ type: 'paper' }),
+     *     });
+     *     p5grain.textureAnimate(textureElement);
+     * </code>
+     * 
+     * @method createTextureElement
+     * 
+     * @param {Object} [config] Config object to configure the texture 
+     *     element.
+     * @param {String|p5.Image|p5.Graphics} [config.image] The texture image 
+     *     URL or texture image. When neither an image nor an SVG filter is 
+     *     specified, a texture is created using createTexture.
+     * @param {Object} [config.svg] Config object to configure the SVG 
+     *     filter (see createSVGTexture). When specified, the texture is 
+     *     rendered by an SVG filter instead of an image.
+     * @param {String} [config.mode] The blend mode that should be used to 
+     *     blend the texture element over the canvas, either a CSS 
+     *     mix-blend-mode or a p5 blend mode constant. When no mode is 
+     *     specified, MULTIPLY will be used.
+     * @param {Number} [config.width] The width the texture image should 
+     *     have. When no width is specified, the width of the texture image 
+     *     is assumed.
+     * @param {Number} [config.height] The height the texture image should 
+     *     have. When no height is specified, the height of the texture 
+     *     image is assumed.
+     * @returns {p5.Element} The texture element.
+     */
+    createTextureElement(config) {
+        /** @internal */
+        this.#validateArguments('createTextureElement', arguments);
+        /** @end */
+        const target = this.#getRenderTarget();
+        const textureElement = target.pInst.createDiv();
+        const elt = textureElement.elt;
+        if (config && config.svg) {
+            const svg = this.#createSVGFilterElement(config.svg);
+            if (svg instanceof SVGElement) {
+                svg.style.display = 'block';
+                svg.style.width = '100%';
+                svg.style.height = '100%';
+                elt.appendChild(svg);
+            } else { // URL-encoded
+                elt.style.backgroundImage = svg.style.backgroundImage;
+                elt.style.backgroundRepeat = svg.style.backgroundRepeat;
+                elt.style.backgroundSize = svg.style.backgroundSize;
+            }
+        } else {
+            const _image = config && config.image ? config.image : this.createTexture();
+            const url = typeof _image === 'string' ? _image : _image.canvas.toDataURL();
+            const tW = config && typeof config.width === 'number' ? config.width 
+                : (typeof _image === 'string' ? null : _image.width);
+            const tH = config && typeof config.height === 'number' ? config.height 
+                : (typeof _image === 'string' ? null : _image.height);
+            elt.style.backgroundImage = `url("${url}")`;
+            elt.style.backgroundRepeat = 'repeat repeat';
+            if (tW !== null || tH !== null) {
+                elt.style.backgroundSize = `${tW !== null ? `${tW}px` : 'auto'} ${tH !== null ? `${tH}px` : 'auto'}`;
+            }
+        }
+        // blend mode, mapping p5 blend mode constants to CSS mix-blend-modes
+        const _mode = config && config.mode ? config.mode : target.pInst.MULTIPLY;
+        elt.style.mixBlendMode = P5Grain.#cssBlendModes[_mode] || _mode;
+        elt.style.position = 'absolute';
+        elt.style.pointerEvents = 'none';
+        // follow the position and size of the canvas
+        const ref = target.ref;
+        let canvas = null;
+        const observer = typeof ResizeObserver !== 'undefined' 
+            ? new ResizeObserver(() => sync()) : null;
+        const sync = () => {
+            if (canvas && !elt.isConnected) {
+                // the texture element has been removed
+                if (observer) {
+                    observer.disconnect();
+                }
+                window.removeEventListener('resize', sync);
+                this.#textureElements.delete(elt);
+                return;
+            }
+            if (ref.canvas !== canvas) {
+                // the canvas has been (re)created
+                canvas = ref.canvas;
+                if (observer) {
+                    observer.disconnect();
+                    observer.observe(canvas);
+                }
+                canvas.parentNode.insertBefore(elt, canvas.nextSibling);
+            }
+            elt.style.left = `${canvas.offsetLeft}px`;
+            elt.style.top = `${canvas.offsetTop}px`;
+            elt.style.width = `${canvas.offsetWidth}px`;
+            elt.style.height = `${canvas.offsetHeight}px`;
+        };
+        window.addEventListener('resize', sync);
+        this.#textureElements.set(elt, sync);
+        sync();
+        return textureElement;
+    }
+
+    /**
+     * Save the canvas composited with the given texture element.
+     * 
+     * Since texture elements are outside the canvas, they would be missing 
+     * from an export using saveCanvas. This method rasterizes the texture 
+     * element at its current (animated) position, background position, 
+     * background size, blend mode and opacity, and composites it into an 
+     * export copy of the canvas, which is then saved. The canvas itself is 
+     * left untouched. Rotation and scale jitter of the texture element are 
+     * not applied.
+     * 
+     * @example
+     * <p>Save the canvas composited with the texture element:</p>
+     * <code>
+     *     function keyPressed() {
+     *         p5grain.saveWithTexture('export.png', textureElement);
+     *     }
+     * </code>
+     * 
+     * @method saveWithTexture
+     * 
+     * @param {String} filename The filename, optionally with the extension 
+     *     'png' or 'jpg'.
+     * @param {HTMLElement|SVGElement|p5.Element} textureElement The texture 
+     *     element to be composited.
+     * @returns {Promise} Resolves once the export has been saved.
+     */
+    async saveWithTexture(filename, textureElement) {
+        /** @internal */
+        this.#validateArguments('saveWithTexture', arguments);
+        /** @end */
+        const elt = textureElement instanceof p5.Element ? textureElement.elt : textureElement;
+        const target = this.#getRenderTarget();
+        const canvas = target.ref.canvas;
+        // export copy of the canvas
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = canvas.width;
+        exportCanvas.height = canvas.height;
+        const ctx = exportCanvas.getContext('2d');
+        ctx.drawImage(canvas, 0, 0);
+        // position of the texture element relative to the canvas
+        const canvasRect = canvas.getBoundingClientRect();
+        const rect = elt.getBoundingClientRect();
+        const style = window.getComputedStyle(elt);
+        ctx.save();
+        ctx.scale(canvas.width / canvasRect.width, canvas.height / canvasRect.height);
+        ctx.translate(rect.left - canvasRect.left, rect.top - canvasRect.top);
+        ctx.beginPath();
+        ctx.rect(0, 0, rect.width, rect.height);
+        ctx.clip();
+        ctx.globalAlpha = parseFloat(style.opacity);
+        ctx.globalCompositeOperation = P5Grain.#canvasBlendModes[style.mixBlendMode] 
+            || style.mixBlendMode;
+        const svg = elt instanceof SVGSVGElement ? elt : elt.querySelector('svg');
+        const bgImage = style.backgroundImage.match(/^url\((['"]?)(.*)\1\)$/s);
+        if (svg) {
+            // inline SVG, rasterized with its current filter seed
+            const svgRect = svg.getBoundingClientRect();
+            const clone = svg.cloneNode(true);
+            clone.removeAttribute('style');
+            clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+            clone.setAttribute('width', svgRect.width);
+            clone.setAttribute('height', svgRect.height);
+            const image = await this.#loadImage(
+                `data:image/svg+xml,${encodeURIComponent(new XMLSerializer().serializeToString(clone))}`
+            );
+            ctx.drawImage(
+                image,
+                svgRect.left - rect.left,
+                svgRect.top - rect.top,
+                svgRect.width,
+                svgRect.height
+            );
+        } else if (bgImage) {
+            // background image, tiled at its current position and size
+            const image = await this.#loadImage(bgImage[2]);
+            const [sizeX, sizeY] = style.backgroundSize.split(' ');
+            let tW = parseFloat(sizeX);
+            let tH = parseFloat(sizeY);
+            if (isNaN(tW) && isNaN(tH)) {
+                tW = image.width;
+                tH = image.height;
+            } else if (isNaN(tH)) {
+                tH = tW * image.height / image.width;
+            } else if (isNaN(tW)) {
+                tW = tH * image.width / image.height;
+            }
+            const [posX, posY] = style.backgroundPosition.split(' ').map(parseFloat);
+            const pattern = ctx.createPattern(image, 'repeat');
+            pattern.setTransform(
+                new DOMMatrix()
+                    .translateSelf(posX || 0, posY || 0)
+                    .scaleSelf(tW / image.width, tH / image.height)
+            );
+            ctx.fillStyle = pattern;
+            ctx.fillRect(0, 0, rect.width, rect.height);
+        }
+        ctx.restore();
+        target.pInst.saveCanvas(exportCanvas, filename);
+    }
+
+
+    /********************
+     * Internal methods *
+     ********************/
+
+    /**
+     * Resolve the render target whose pixels should be manipulated or onto 
+     * which should be drawn. This is either the given offscreen graphics 
+     * buffer, the sketch in instance mode, or the main canvas in global 
+     * mode.
+     * 
+     * The render target can optionally be limited to a region. Pixel loops 
+     * (see forEachPixel) only visit pixels inside that region.
+     * 
+     * @private
+     * @method getRenderTarget
+     * 
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer.
+     * @param {Object} [region] The region the render target should be 
+     *     limited to, given in canvas coordinates (excluding pixel density).
+     * @param {Number} region.x The x-coordinate of the region.
+     * @param {Number} region.y The y-coordinate of the region.
+     * @param {Number} region.width The width of the region.
+     * @param {Number} region.height The height of the region.
+     * @returns {Object} The render target.
+     */
+    #getRenderTarget(pg, region) {
+        const pixelUpdates = this.#pixelUpdates;
+        // the object that owns the pixels
+        const ref = pg ? pg : this.instanceMode ? this.instanceRef : p5.instance;
+        // the p5 instance that owns the canvas
+        const pInst = pg ? pg._pInst : ref;
+        const density = ref.pixelDensity();
+        // dimensions of the pixels array
+        const pixelWidth = Math.floor(ref.width * density);
+        const pixelHeight = Math.floor(ref.height * density);
+        // bounds of the region within the pixels array
+        let x0 = 0, y0 = 0, x1 = pixelWidth, y1 = pixelHeight;
+        if (region) {
+            x0 = Math.min(Math.max(Math.floor(region.x * density), 0), pixelWidth);
+            y0 = Math.min(Math.max(Math.floor(region.y * density), 0), pixelHeight);
+            x1 = Math.min(Math.max(Math.floor((region.x + region.width) * density), x0), pixelWidth);
+            y1 = Math.min(Math.max(Math.floor((region.y + region.height) * density), y0), pixelHeight);
+        }
+        return {
+            ref,
+            pInst,
+            isGraphics: ref instanceof p5.Graphics,
+            isWebGL: ref._renderer instanceof p5.RendererGL,
+            width: ref.width,
+            height: ref.height,
+            density,
+            pixelWidth,
+            pixelHeight,
+            total: 4 * pixelWidth * pixelHeight,
+            x0,
+            y0,
+            x1,
+            y1,
+            get pixels() {
+                return ref.pixels;
+            },
+            loadPixels() {
+                ref.loadPixels();
+            },
+            updatePixels() {
+                ref.updatePixels();
+                pixelUpdates.set(ref, (pixelUpdates.get(ref) || 0) + 1);
+            },
+        };
+    }
+
+    /**
+     * Call the given callback function with the index and the coordinates 
+     * (in pixels, including pixel density) of every pixel inside the 
+     * region of the given render target.
+     * 
+     * @private
+     * @method forEachPixel
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Function} callback The callback function that should be 
+     *     called on every pixel.
+     */
+    #forEachPixel(target, callback) {
+        const { pixelWidth, x0, y0, x1, y1 } = target;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0, i = 4 * (y * pixelWidth + x0); x < x1; x++, i += 4) {
+                callback(i, x, y);
+            }
+        }
+    }
+
+    /**
+     * Call the given callback function with the index of the first pixel, 
+     * the x-coordinates of the first and behind the last pixel and the 
+     * y-coordinate (in pixels, including pixel density) of every pixel row 
+     * inside the region of the given render target. Unlike forEachPixel, 
+     * the callback function is called once per row, so that it can loop 
+     * through the pixels of the row itself.
+     * 
+     * @private
+     * @method forEachRow
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Function} callback The callback function that should be 
+     *     called on every pixel row.
+     */
+    #forEachRow(target, callback) {
+        const { pixelWidth, x0, y0, x1, y1 } = target;
+        for (let y = y0; y < y1; y++) {
+            callback(4 * (y * pixelWidth + x0), x0, x1, y);
+        }
+    }
+
+    /**
+     * Create a function that returns the mask weight (0-1) for the given 
+     * pixel coordinates of the render target. The mask is stretched to 
+     * cover the entire render target, and both the pixel density of the 
+     * render target and the pixel density of the mask are taken into 
+     * account.
+     * 
+     * @private
+     * @method getMaskWeight
+     * 
+     * @param {p5.Image|p5.Graphics} mask The mask.
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {String} [maskMode] Either 'luminance' or 'alpha'. When no 
+     *     mask mode is specified, 'luminance' is used.
+     * @returns {Function} Function that receives the x- and y-coordinates 
+     *     of a pixel and returns its mask weight.
+     */
+    #getMaskWeight(mask, target, maskMode) {
+        mask.loadPixels();
+        const mDensity = typeof mask.pixelDensity === 'function' ? mask.pixelDensity() : 1;
+        const mPixelWidth = Math.floor(mask.width * mDensity);
+        const mPixelHeight = Math.floor(mask.height * mDensity);
+        const scaleX = mPixelWidth / target.pixelWidth;
+        const scaleY = mPixelHeight / target.pixelHeight;
+        const mPixels = mask.pixels;
+        const useAlpha = maskMode === 'alpha';
+        return (x, y) => {
+            const mX = Math.min(Math.floor(x * scaleX), mPixelWidth - 1);
+            const mY = Math.min(Math.floor(y * scaleY), mPixelHeight - 1);
+            const mI = 4 * (mY * mPixelWidth + mX);
+            return useAlpha ? mPixels[mI+3] / 255 : this.#luminance(mPixels, mI);
+        };
+    }
+
+    /**
+     * Create a function that returns the grain weight for the given pixel 
+     * of the render target, combining the mask weight (see getMaskWeight) 
+     * and the response curve applied to the luminance of the pixel. The 
+     * pixels of the render target must already be loaded.
+     * 
+     * @private
+     * @method getGrainWeight
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Object} config Config object containing the optional mask, 
+     *     maskMode and curve properties.
+     * @returns {Function|null} Function that receives the index and the x- 
+     *     and y-coordinates of a pixel and returns its grain weight, or 
+     *     null when neither mask nor curve is given.
+     */
+    #getGrainWeight(target, config) {
+        const maskWeight = config.mask
+            ? this.#getMaskWeight(config.mask, target, config.maskMode) : null;
+        const curve = config.curve
+            ? typeof config.curve === 'function' ? config.curve : P5Grain.#curves[config.curve]
+            : null;
+        if (!maskWeight && !curve) {
+            return null;
+        }
+        const _pixels = target.pixels;
+        return (i, x, y) => {
+            let weight = maskWeight ? maskWeight(x, y) : 1;
+            if (curve) {
+                weight *= curve(this.#luminance(_pixels, i));
+            }
+            return weight;
+        };
+    }
+
+    /**
+     * Compute the relative luminance (0-1) of the pixel at the given index.
+     * 
+     * @private
+     * @method luminance
+     * 
+     * @param {Uint8ClampedArray} pixels The pixels array.
+     * @param {Number} i The pixel index.
+     * @returns {Number}
+     */
+    #luminance(pixels, i) {
+        return (0.2126 * pixels[i] + 0.7152 * pixels[i+1] + 0.0722 * pixels[i+2]) / 255;
+    }
+
+    /**
+     * Restore pixels of the given render target from the given snapshot, 
+     * depending on the region of the render target and the given mask. 
+     * Pixels outside the region are fully restored, while pixels inside 
+     * the region are interpolated between the snapshot and their current 
+     * value by their mask weight.
+     * 
+     * @private
+     * @method restoreSnapshot
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Uint8ClampedArray} snapshot Copy of the pixels array.
+     * @param {Function} [maskWeight] Mask weight function (see 
+     *     getMaskWeight).
+     */
+    #restoreSnapshot(target, snapshot, maskWeight) {
+        const { pixelWidth, pixelHeight, x0, y0, x1, y1 } = target;
+        target.loadPixels();
+        const _pixels = target.pixels;
+        for (let y = 0; y < pixelHeight; y++) {
+            for (let x = 0, i = 4 * y * pixelWidth; x < pixelWidth; x++, i += 4) {
+                const inside = x >= x0 && x < x1 && y >= y0 && y < y1;
+                const weight = !inside ? 0 : maskWeight ? maskWeight(x, y) : 1;
+                if (weight < 1) {
+                    for (let c = 0; c < 4; c++) {
+                        _pixels[i+c] = snapshot[i+c] + (_pixels[i+c] - snapshot[i+c]) * weight;
+                    }
+                }
+            }
+        }
+        target.updatePixels();
+    }
+
+    /**
+     * Create the per-row step of granulateSimple for the given render 
+     * target, whose pixels must already be loaded.
+     * 
+     * @private
+     * @method granulateSimpleStep
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Number} amount The amount of granularity.
+     * @param {Object} config Config object (see granulateSimple).
+     * @returns {Function} Function that receives the index of the first 
+     *     pixel, the x-coordinates of the first and behind the last pixel 
+     *     and the y-coordinate of a pixel row (see forEachRow) and 
+     *     granulates it.
+     */
+    #granulateSimpleStep(target, amount, config) {
+        const _amount = Math.round(amount);
+        const _alpha = config.alpha || false;
+        const _pixels = target.pixels;
+        const grain = this.#createGrainSource(target, _amount, config, 1);
+        const grainWeight = this.#getGrainWeight(target, config);
+        return (i, x0, x1, y) => P5Grain.#granulateRow(
+            _pixels, i, x0, x1, y, grain, grainWeight, false, _alpha
+        );
+    }
+
+    /**
+     * Create the per-row step of granulateChannels for the given render 
+     * target, whose pixels must already be loaded.
+     * 
+     * @private
+     * @method granulateChannelsStep
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Number} amount The amount of granularity.
+     * @param {Object} config Config object (see granulateChannels).
+     * @returns {Function} Function that receives the index of the first 
+     *     pixel, the x-coordinates of the first and behind the last pixel 
+     *     and the y-coordinate of a pixel row (see forEachRow) and 
+     *     granulates it.
+     */
+    #granulateChannelsStep(target, amount, config) {
+        const _amount = Math.round(amount);
+        const _alpha = config.alpha || false;
+        const _pixels = target.pixels;
+        const grain = this.#createGrainSource(target, _amount, config, _alpha ? 4 : 3);
+        const grainWeight = this.#getGrainWeight(target, config);
+        return (i, x0, x1, y) => P5Grain.#granulateRow(
+            _pixels, i, x0, x1, y, grain, grainWeight, true, _alpha
+        );
+    }
+
+    /**
+     * Create the per-pixel step of granulateFilm for the given render 
+     * target, whose pixels must already be loaded.
+     * 
+     * @private
+     * @method granulateFilmStep
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Number} amount The amount of granularity.
+     * @param {Object} config Config object (see granulateFilm).
+     * @returns {Function} Function that receives the index and the x- and
+     *     y-coordinates of a pixel and granulates it.
+     */
+    #granulateFilmStep(target, amount, config) {
+        const stock = P5Grain.#filmStocks[config.stock || 'color-negative'];
+        const _amount = Math.round(amount);
+        const _chroma = typeof config.chroma === 'number' ? config.chroma : stock.chroma;
+        const _pixels = target.pixels;
+        const grain = this.#createGrainSource(target, _amount, config, _chroma > 0 ? 4 : 1);
+        const grainWeight = this.#getGrainWeight(target, {
+            mask: config.mask,
+            maskMode: config.maskMode,
+            curve: config.curve || stock.curve,
+        });
+        return (i, x, y) => {
+            const weight = grainWeight(i, x, y);
+            const monoAmount = grain(x, y, 0);
+            for (let c = 0; c < 3; c++) {
+                let grainAmount = monoAmount;
+                if (_chroma > 0) {
+                    grainAmount = (1 - _chroma) * monoAmount
+                        + _chroma * grain(x, y, c + 1);
+                }
+                _pixels[i+c] = this.#clamp(_pixels[i+c] + Math.round(grainAmount * weight));
+            }
+        };
+    }
+
+    /**
+     * Create the per-pixel step of granulateChroma for the given render 
+     * target, whose pixels must already be loaded.
+     * 
+     * @private
+     * @method granulateChromaStep
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Number} amount The amount of luminance granularity.
+     * @param {Object} config Config object (see granulateChroma).
+     * @returns {Function} Function that receives the index and the x- and
+     *     y-coordinates of a pixel and granulates it.
+     */
+    #granulateChromaStep(target, amount, config) {
+        const _amount = Math.round(amount);
+        const _chroma = typeof config.chroma === 'number' 
+            ? Math.round(config.chroma) : Math.round(amount / 4);
+        const space = P5Grain.#colorSpaces[config.space || 'ycbcr'];
+        const _weights = config.weights || [1, 1, 1];
+        const _pixels = target.pixels;
+        const lumaGrain = this.#createGrainSource(target, _amount, config, 1);
+        const chromaGrain = this.#createGrainSource(target, _chroma, config, space.chromaChannels);
+        const grainWeight = this.#getGrainWeight(target, config);
+        const color = [0, 0, 0];
+        return (i, x, y) => {
+            const weight = grainWeight ? grainWeight(i, x, y) : 1;
+            color[0] = _pixels[i];
+            color[1] = _pixels[i+1];
+            color[2] = _pixels[i+2];
+            space.apply(
+                color,
+                lumaGrain(x, y, 0),
+                (c) => chromaGrain(x, y, c)
+            );
+            for (let c = 0; c < 3; c++) {
+                _pixels[i+c] = this.#clamp(
+                    _pixels[i+c] + Math.round((color[c] - _pixels[i+c]) * weight * _weights[c])
+                );
+            }
+        };
+    }
+
+    /**
+     * Create a grain source, i.e. a function that returns the random grain 
+     * value for the given pixel coordinates and channel.
+     * 
+     * For a grain size of 1 device pixel, a new random value is generated 
+     * on every call. Otherwise, random values are generated on a coarser 
+     * grid covering the region of the render target, which is then 
+     * upsampled using the given interpolation.
+     * 
+     * @private
+     * @method createGrainSource
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Number} amount The maximum absolute grain value.
+     * @param {Object} config Config object containing the optional 
+     *     distribution, size, interpolation and densityIndependent 
+     *     properties.
+     * @param {Number} channels The number of channels that are sampled.
+     * @returns {Function} Function that receives the x- and y-coordinates 
+     *     of a pixel and a channel index, and returns the grain value.
+     */
+    #createGrainSource(target, amount, config, channels) {
+        const distribution = config.distribution || 'uniform';
+        // keep drawing from the substream the grain source was created in
+        const random = this.#random;
+        const cellSize = (config.size || 1) * (config.densityIndependent ? target.density : 1);
+        if (cellSize <= 1) {
+            return () => this.#randomGrain(amount, distribution, random);
+        }
+        const { x0, y0, x1, y1 } = target;
+        const cols = Math.ceil((x1 - x0) / cellSize) + 1;
+        const rows = Math.ceil((y1 - y0) / cellSize) + 1;
+        const values = new Float32Array(cols * rows * channels);
+        for (let k = 0; k < values.length; k++) {
+            values[k] = this.#randomGrain(amount, distribution, random);
+        }
+        const value = (col, row, channel) => values[(row * cols + col) * channels + channel];
+        const interpolation = config.interpolation || 'nearest';
+        return (x, y, channel) => {
+            const u = (x - x0) / cellSize;
+            const v = (y - y0) / cellSize;
+            const col = Math.floor(u);
+            const row = Math.floor(v);
+            if (interpolation === 'nearest') {
+                return value(col, row, channel);
+            }
+            let fx = u - col;
+            let fy = v - row;
+            if (interpolation === 'smooth') {
+                fx = fx * fx * (3 - 2 * fx);
+                fy = fy * fy * (3 - 2 * fy);
+            }
+            const top = value(col, row, channel) * (1 - fx) + value(col + 1, row, channel) * fx;
+            const bottom = value(col, row + 1, channel) * (1 - fx) + value(col + 1, row + 1, channel) * fx;
+            return Math.round(top * (1 - fy) + bottom * fy);
+        };
+    }
+
+    /**
+     * Generate a random grain value ranging from -amount to +amount 
+     * following the given distribution:
+     * - uniform: every value is equally likely
+     * - gaussian: normal distribution (Box-Muller transform) with a 
+     *   standard deviation of amount/3
+     * - triangular: sum of two uniform random values
+     * - poisson: shot noise, i.e. the deviation of a poisson distributed 
+     *   event count from its mean, normalized like gaussian
+     * 
+     * All distributions are driven by the given random function.
+     * 
+     * @private
+     * @method randomGrain
+     * 
+     * @param {Number} amount The maximum absolute grain value.
+     * @param {String} distribution The distribution.
+     * @param {Function} random The random function.
+     * @returns {Number}
+     */
+    #randomGrain(amount, distribution, random) {
+        let value;
+        switch (distribution) {
+            case 'gaussian': {
+                const u1 = 1 - random();
+                const u2 = random();
+                value = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2) * amount / 3;
+                break;
+            }
+            case 'triangular':
+                value = (random() + random() - 1) * amount;
+                break;
+            case 'poisson': {
+                // Knuth's algorithm with a small mean results in skewed noise
+                const lambda = P5Grain.#poissonMean;
+                const limit = Math.exp(-lambda);
+                let count = 0;
+                let product = random();
+                while (product > limit) {
+                    count++;
+                    product *= random();
+                }
+                value = (count - lambda) / Math.sqrt(lambda) * amount / 3;
+                break;
+            }
+            default:
+                return this.#randomIntInclusive(-amount, amount, random);
+        }
+        return Math.min(Math.max(Math.round(value), -amount), amount);
+    }
+
+    /**
+     * Clamp the given value to the range of a pixel channel (0-255).
+     * 
+     * @private
+     * @method clamp
+     * 
+     * @param {Number} value The value to clamp.
+     * @returns {Number}
+     */
+    #clamp(value) {
+        return value < 0 ? 0 : value > 255 ? 255 : value;
+    }
+
+    /**
+     * Get the random function used to place analog artifacts (e.g. dust and
+     * scratches). When neither a seed nor a frame is given, the configured 
+     * random function is used. Otherwise, the random function only depends 
+     * on the seed and the frame, where a missing seed is generated once per
+     * canvas or context and method.
+     * 
+     * @private
+     * @method getArtifactRandom
+     * 
+     * @param {String} method Name of the method.
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {Object} config Config object containing the optional seed 
+     *     and frame properties.
+     * @returns {Function}
+     */
+    #getArtifactRandom(method, target, config) {
+        const frame = typeof config.frame === 'number' ? config.frame : null;
+        let seed = typeof config.seed === 'number' ? config.seed : null;
+        if (seed === null && frame === null) {
+            return this.#random;
+        }
+        if (seed === null) {
+            const seeds = this.#getAnimationState(this.#artifactSeeds, target.ref, () => ({}));
+            if (typeof seeds[method] !== 'number') {
+                seeds[method] = Math.floor(this.#random() * 4294967296);
+            }
+            seed = seeds[method];
+        }
+        return this.#mulberry32(seed + Math.imul(frame || 0, 0x9E3779B1));
+    }
+
+    /**
+     * Blur the given values in place, approximating a gaussian blur by 
+     * three passes of a separable box blur.
+     * 
+     * @private
+     * @method blur
+     * 
+     * @param {Float32Array} values The values, row by row.
+     * @param {Number} width The number of values per row.
+     * @param {Number} height The number of rows.
+     * @param {Number} radius The radius of the box blur.
+     */
+    #blur(values, width, height, radius) {
+        if (radius < 1) {
+            return;
+        }
+        const buffer = new Float32Array(values.length);
+        for (let pass = 0; pass < 3; pass++) {
+            this.#boxBlur(values, buffer, width, height, 1, width, radius);
+            this.#boxBlur(buffer, values, height, width, width, 1, radius);
+        }
+    }
+
+    /**
+     * Box blur the lines (rows or columns) of the given source values into 
+     * the given target values, clamping at the edges.
+     * 
+     * @private
+     * @method boxBlur
+     * 
+     * @param {Float32Array} source The source values.
+     * @param {Float32Array} target The target values.
+     * @param {Number} length The number of values per line.
+     * @param {Number} count The number of lines.
+     * @param {Number} step The distance between two values of a line.
+     * @param {Number} lineStep The distance between two lines.
+     * @param {Number} radius The radius of the box blur.
+     */
+    #boxBlur(source, target, length, count, step, lineStep, radius) {
+        const size = 2 * radius + 1;
+        for (let line = 0; line < count; line++) {
+            const base = line * lineStep;
+            const value = (j) => source[base + Math.min(Math.max(j, 0), length - 1) * step];
+            let sum = 0;
+            for (let j = -radius; j <= radius; j++) {
+                sum += value(j);
+            }
+            for (let j = 0; j < length; j++) {
+                target[base + j * step] = sum / size;
+                sum += value(j + radius + 1) - value(j - radius);
+            }
+        }
+    }
+
+    /**
+     * Generate the Bayer matrix of the given size, i.e. the threshold ranks
+     * (0 to size*size-1) of an ordered dithering pattern, row by row.
+     * 
+     * @private
+     * @method getBayerMatrix
+     * 
+     * @param {Number} size The size of the matrix, a power of 2.
+     * @returns {Uint16Array}
+     */
+    #getBayerMatrix(size) {
+        let matrix = new Uint16Array([0]);
+        for (let n = 1; n < size; n *= 2) {
+            // M(2n) = [[4M, 4M+2], [4M+3, 4M+1]]
+            const next = new Uint16Array(4 * n * n);
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const value = 4 * matrix[y * n + x];
+                    next[y * 2 * n + x] = value;
+                    next[y * 2 * n + x + n] = value + 2;
+                    next[(y + n) * 2 * n + x] = value + 3;
+                    next[(y + n) * 2 * n + x + n] = value + 1;
+                }
+            }
+            matrix = next;
+        }
+        return matrix;
+    }
+
+    /**
+     * Get the blue noise threshold ranks (0-4095) of a tileable 64x64 
+     * pattern, row by row. The ranks are decoded once from the precomputed 
+     * blue noise table (see blueNoiseTable).
+     * 
+     * @private
+     * @method getBlueNoise
+     * 
+     * @returns {Uint16Array}
+     */
+    #getBlueNoise() {
+        if (P5Grain.#blueNoise) {
+            return P5Grain.#blueNoise;
+        }
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const table = P5Grain.#blueNoiseTable.join('');
+        const ranks = new Uint16Array(table.length / 2);
+        for (let p = 0; p < ranks.length; p++) {
+            ranks[p] = alphabet.indexOf(table[2*p]) * 64 + alphabet.indexOf(table[2*p+1]);
+        }
+        P5Grain.#blueNoise = ranks;
+        return ranks;
+    }
+
+    /**
+     * Get the animation state for the given key (e.g. a texture element or 
+     * a canvas or context) from the given states. When there is no state 
+     * yet, a new state is created using the given initializer, so that 
+     * multiple independently animated textures don't share their timing 
+     * and offsets.
+     * 
+     * @private
+     * @method getAnimationState
+     * 
+     * @param {WeakMap} states The animation states.
+     * @param {Object} key The key of the animation state.
+     * @param {Function} init Function returning the initial state.
+     * @returns {Object} The animation state.
+     */
+    #getAnimationState(states, key, init) {
+        let state = states.get(key);
+        if (!state) {
+            state = init();
+            states.set(key, state);
+        }
+        return state;
+    }
+
+    /**
+     * Create an animation state for the given method. Animation states are 
+     * identified by the method and their creation order, so that getState 
+     * can capture them and setState can restore them, even before they are 
+     * created again (e.g. after reloading the sketch).
+     * 
+     * @private
+     * @method createAnimationState
+     * 
+     * @param {String} method Name of the method.
+     * @returns {Object} The animation state.
+     */
+    #createAnimationState(method) {
+        const index = this.#animationCounts[method] || 0;
+        this.#animationCounts[method] = index + 1;
+        const id = `${method}:${index}`;
+        const state = { x: 0, y: 0, rotation: 0, scale: 1, ...this.#restoredAnimations[id] };
+        delete this.#restoredAnimations[id];
+        this.#animationStates.set(id, state);
+        return state;
+    }
+
+    /**
+     * Advance the given animation state, i.e. update its x- and y-offset, 
+     * rotation and scale according to the motion of the animation config.
+     * 
+     * The animation advances in steps, a step being atFrame calls, atFrame 
+     * frames when an explicit frame index is given, or one interval when an 
+     * interval in milliseconds is given. In the latter two cases, the state 
+     * is a pure function of the seed and the frame index or elapsed time.
+     * 
+     * @private
+     * @method advanceAnimation
+     * 
+     * @param {Object} state The animation state.
+     * @param {Object} [config] The animation config.
+     * @param {Object} target The render target.
+     * @returns {Boolean} Whether the animation state has changed.
+     */
+    #advanceAnimation(state, config, target) {
+        const _motion = config && config.motion ? config.motion : 'shift';
+        const _atFrame = config && config.atFrame ? Math.round(config.atFrame) : 2;
+        const _interval = config && config.interval ? config.interval : 0;
+        const _frame = config && typeof config.frame === 'number' ? config.frame : null;
+        const _amount = config && config.amount
+            ? Math.round(config.amount)
+            : P5Grain.#motionAmounts[_motion] || Math.min(target.width, target.height);
+        const _anchorX = config && config.anchor ? config.anchor.x : 0;
+        const _anchorY = config && config.anchor ? config.anchor.y : 0;
+        // deterministic animation flag
+        const deterministic = _frame !== null || _interval > 0;
+        // seeded animations derive every step from their own seed
+        const seeded = deterministic || this.#seed !== null;
+        // time in steps
+        let time;
+        if (_frame !== null) {
+            time = _frame / _atFrame;
+        } else if (_interval) {
+            time = target.pInst.millis() / _interval;
+        } else {
+            state.calls = (state.calls || 0) + 1;
+            time = state.calls / _atFrame;
+        }
+        if (
+            typeof state.seed !== 'number'
+            && (seeded || _motion === 'wander')
+        ) {
+            state.seed = Math.floor(this.#random() * 4294967296);
+        }
+        const seed = config && typeof config.seed === 'number' 
+            ? config.seed : state.seed;
+        const step = Math.floor(time);
+        if (typeof state.step !== 'number' && !deterministic) {
+            // the first step of call-driven animations isn't shifted
+            state.step = 0;
+        }
+        const stepChanged = step !== state.step;
+        state.step = step;
+        const random = seeded
+            ? this.#mulberry32(seed + Math.imul(step, 0x9E3779B1))
+            : this.#random;
+        switch (_motion) {
+            case 'drift': {
+                const velocity = config && typeof config.velocity !== 'undefined'
+                    ? config.velocity : 1;
+                const vX = typeof velocity === 'number' ? velocity : velocity.x;
+                const vY = typeof velocity === 'number' ? velocity : velocity.y;
+                state.x = _anchorX + vX * time;
+                state.y = _anchorY + vY * time;
+                break;
+            }
+            case 'wander': {
+                const smoothing = config && config.smoothing ? config.smoothing : 30;
+                state.x = _anchorX + (2 * this.#smoothNoise(seed ^ 0x68E31DA4, time / smoothing) - 1) * _amount;
+                state.y = _anchorY + (2 * this.#smoothNoise(seed ^ 0xB5297A4D, time / smoothing) - 1) * _amount;
+                break;
+            }
+            case 'jitter':
+                if (stepChanged) {
+                    state.x = _anchorX + (2 * random() - 1) * _amount;
+                    state.y = _anchorY + (2 * random() - 1) * _amount;
+                }
+                break;
+            default:
+                if (stepChanged) {
+                    state.x = Math.floor(random()*_amount);
+                    state.y = Math.floor(random()*_amount);
+                }
+                break;
+        }
+        if (stepChanged) {
+            state.rotation = config && config.rotation
+                ? (2 * random() - 1) * config.rotation : 0;
+            state.scale = config && config.scale
+                ? 1 + (2 * random() - 1) * config.scale : 1;
+        }
+        return stepChanged || _motion === 'drift' || _motion === 'wander';
+    }
+
+    /**
+     * Get the smoothly interpolated 1D value noise (0-1) at the given 
+     * position.
+     * 
+     * @private
+     * @method smoothNoise
+     * 
+     * @param {Number} seed The seed.
+     * @param {Number} t The position.
+     * @returns {Number}
+     */
+    #smoothNoise(seed, t) {
+        const i = Math.floor(t);
+        const f = t - i;
+        const a = this.#mulberry32(seed + Math.imul(i, 0x9E3779B1))();
+        const b = this.#mulberry32(seed + Math.imul(i + 1, 0x9E3779B1))();
+        return a + (b - a) * f * f * (3 - 2 * f);
+    }
+
+    /**
+     * Create an SVG filter texture element, i.e. an inline SVG element 
+     * containing an feTurbulence filter primitive, or a div element whose 
+     * background image is the URL-encoded SVG.
+     * 
+     * @private
+     * @method createSVGFilterElement
+     * 
+     * @param {Object} [config] Config object to configure the SVG filter 
+     *     (see createSVGTexture).
+     * @returns {SVGElement|HTMLElement} The texture element.
+     */
+    #createSVGFilterElement(config) {
+        const _type = config && config.type ? config.type : 'turbulence';
+        const _baseFrequency = config && typeof config.baseFrequency !== 'undefined'
+            ? config.baseFrequency : 1;
+        const _numOctaves = config && config.numOctaves 
+            ? Math.round(config.numOctaves) : 1;
+        const _seed = config && typeof config.seed === 'number' ? config.seed : 0;
+        const _size = config && config.size ? config.size : 128;
+        // unique id of the filter
+        const filterId = `p5grain-texture-filter-${P5Grain.#svgFilterCount++}`;
+        const filterAttributes = { id: filterId, x: 0, y: 0, width: '100%', height: '100%' };
+        const turbulenceAttributes = {
+            type: _type,
+            baseFrequency: _baseFrequency,
+            numOctaves: _numOctaves,
+            seed: _seed,
+        };
+        const rectAttributes = {
+            x: 0, y: 0, width: '100%', height: '100%', filter: `url(#${filterId})`,
+        };
+        let textureElement;
+        if (config && config.urlEncoded) {
+            const attrs = attributes => Object.entries(attributes)
+                .map(([name, value]) => `${name}='${value}'`).join(' ');
+            const svg = "<svg xmlns='http://www.w3.org/2000/svg'>"
+                + `<filter ${attrs(filterAttributes)}>`
+                + `<feTurbulence ${attrs(turbulenceAttributes)}></feTurbulence>`
+                + '</filter>'
+                + `<rect ${attrs(rectAttributes)} />`
+                + '</svg>';
+            textureElement = document.createElement('div');
+            textureElement.style.backgroundImage = `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+            textureElement.style.backgroundRepeat = 'repeat repeat';
+            textureElement.style.backgroundSize = `${_size}px ${_size}px`;
+            textureElement.style.mixBlendMode = 'multiply';
+        } else {
+            const create = (name, attributes) => {
+                const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+                for (const [attribute, value] of Object.entries(attributes)) {
+                    element.setAttribute(attribute, value);
+                }
+                return element;
+            };
+            textureElement = create('svg', {});
+            const filter = create('filter', filterAttributes);
+            filter.appendChild(create('feTurbulence', turbulenceAttributes));
+            textureElement.appendChild(filter);
+            textureElement.appendChild(create('rect', rectAttributes));
+        }
+        return textureElement;
+    }
+
+    /**
+     * Granulate the pixels of the render target in a Web Worker (see 
+     * granulateSimpleAsync).
+     * 
+     * @private
+     * @method granulateAsync
+     * 
+     * @param {Boolean} channels Specifies whether one random value per 
+     *     pixel channel should be used.
+     * @param {Number} amount The amount of granularity that should be applied.
+     * @param {Boolean|Object} [config] The config.
+     * @param {p5.Graphics} [pg] The offscreen graphics buffer.
+     * @returns {Promise<Uint8ClampedArray>}
+     */
+    #granulateAsync(channels, amount, config, pg) {
+        const _config = config && typeof config === 'object' ? config : { alpha: config };
+        const _chunkSize = _config.chunkSize ? Math.max(Math.round(_config.chunkSize), 1) : 64;
+        const target = this.#getRenderTarget(pg, _config.region);
+        target.loadPixels();
+        // chunks of rows, each with its own seed
+        const chunks = [];
+        for (let y0 = target.y0; y0 < target.y1; y0 += _chunkSize) {
+            chunks.push({
+                y0,
+                y1: Math.min(y0 + _chunkSize, target.y1),
+                seed: Math.floor(this.#random() * 4294967296),
+            });
+        }
+        const pixels = target.pixels.slice();
+        // pixel updates and frame count to detect changes made meanwhile
+        const updates = this.#pixelUpdates.get(target.ref) || 0;
+        const frameCount = target.pInst.frameCount;
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(
+                new Blob([
+                    `(${P5Grain.#granulateWorker})(${P5Grain.#granulateRow});`,
+                ], { type: 'text/javascript' })
+            );
+            const worker = new Worker(url);
+            const terminate = () => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+            };
+            worker.onmessage = (event) => {
+                if (event.data.type === 'progress') {
+                    if (_config.progress) {
+                        _config.progress(event.data.progress);
+                    }
+                    return;
+                }
+                terminate();
+                // the result would overwrite anything drawn meanwhile
+                const changed = (this.#pixelUpdates.get(target.ref) || 0) !== updates
+                    || (!target.isGraphics && target.pInst.frameCount !== frameCount)
+                    || target.ref.width !== target.width
+                    || target.ref.height !== target.height
+                    || target.ref.pixelDensity() !== target.density;
+                if (changed) {
+                    reject(new Error('[p5.grain] The canvas has changed while granulating asynchronously. The result has been discarded.'));
+                    return;
+                }
+                target.pixels.set(event.data.pixels);
+                target.updatePixels();
+                resolve(event.data.pixels);
+            };
+            worker.onerror = (error) => {
+                terminate();
+                reject(error);
+            };
+            worker.postMessage({
+                pixels,
+                pixelWidth: target.pixelWidth,
+                x0: target.x0,
+                x1: target.x1,
+                chunks,
+                amount: Math.round(amount),
+                alpha: _config.alpha || false,
+                channels,
+                distribution: _config.distribution || 'uniform',
+                poissonMean: P5Grain.#poissonMean,
+            }, [pixels.buffer]);
+        });
+    }
+
+    /**
+     * Blend the given texture image into the pixels of the render target, 
+     * using p5.grain's own implementations of the blend modes. The texture 
+     * is tiled (and optionally reflected) starting at the given offset, 
+     * rotated and scaled around the center of the render target. The 
+     * texture is sampled using nearest-neighbour interpolation.
+     * 
+     * @private
+     * @method blendTexturePixels
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {p5.Image|p5.Graphics} textureImage The texture image.
+     * @param {Object} options The blending options.
+     * @param {Number} options.tW The texture width.
+     * @param {Number} options.tH The texture height.
+     * @param {Boolean} options.reflect Specifies whether the texture is 
+     *     reflected.
+     * @param {Number} options.offsetX The x-coordinate of the first texture.
+     * @param {Number} options.offsetY The y-coordinate of the first texture.
+     * @param {Number} options.rotation The rotation in radians.
+     * @param {Number} options.scale The scale.
+     * @param {String} options.mode The blend mode.
+     * @param {Number} options.opacity The opacity (0-1) of the texture.
+     * @param {Function} [options.maskWeight] The mask weight function (see 
+     *     getMaskWeight).
+     */
+    #blendTexturePixels(target, textureImage, options) {
+        const { tW, tH, reflect, offsetX, offsetY, rotation, scale, opacity, maskWeight } = options;
+        const blend = P5Grain.#pixelBlendModes[options.mode];
+        const replace = options.mode === 'copy';
+        const add = options.mode === 'lighter';
+        textureImage.loadPixels();
+        const tDensity = textureImage instanceof p5.Graphics ? textureImage.pixelDensity() : 1;
+        const tPixelWidth = Math.floor(textureImage.width * tDensity);
+        const tPixelHeight = Math.floor(textureImage.height * tDensity);
+        const tPixels = textureImage.pixels;
+        const periodX = reflect ? 2 * tW : tW;
+        const periodY = reflect ? 2 * tH : tH;
+        const { density, width, height } = target;
+        // inverse rotation and scale
+        const transform = rotation !== 0 || scale !== 1;
+        const cos = Math.cos(rotation) / scale;
+        const sin = Math.sin(rotation) / scale;
+        target.loadPixels();
+        const _pixels = target.pixels;
+        this.#forEachPixel(target, (i, x, y) => {
+            const weight = maskWeight ? opacity * maskWeight(x, y) : opacity;
+            if (weight <= 0) {
+                return;
+            }
+            // coordinates of the pixel center
+            let u = (x + 0.5) / density;
+            let v = (y + 0.5) / density;
+            if (transform) {
+                const dX = u - width/2;
+                const dY = v - height/2;
+                u = width/2 + cos * dX + sin * dY;
+                v = height/2 - sin * dX + cos * dY;
+            }
+            // coordinates within the tiling period
+            let tX = (((u - offsetX) % periodX) + periodX) % periodX;
+            let tY = (((v - offsetY) % periodY) + periodY) % periodY;
+            if (tX >= tW) {
+                tX = periodX - tX;
+            }
+            if (tY >= tH) {
+                tY = periodY - tY;
+            }
+            const sX = Math.min(Math.floor(tX / tW * tPixelWidth), tPixelWidth - 1);
+            const sY = Math.min(Math.floor(tY / tH * tPixelHeight), tPixelHeight - 1);
+            const j = 4 * (sY * tPixelWidth + sX);
+            if (replace) {
+                for (let c = 0; c < 4; c++) {
+                    _pixels[i+c] += (tPixels[j+c] - _pixels[i+c]) * weight;
+                }
+                return;
+            }
+            const aS = tPixels[j+3] / 255 * weight;
+            const aB = _pixels[i+3] / 255;
+            if (add) {
+                // plus-lighter compositing, i.e. adding the premultiplied 
+                // colors and the alpha values
+                const aO = Math.min(1, aS + aB);
+                if (aO === 0) {
+                    return;
+                }
+                for (let c = 0; c < 3; c++) {
+                    _pixels[i+c] = 255 * Math.min(
+                        1, (aS * tPixels[j+c] + aB * _pixels[i+c]) / 255
+                    ) / aO;
+                }
+                _pixels[i+3] = 255 * aO;
+                return;
+            }
+            // source-over compositing of the blended color
+            const aO = aS + aB * (1 - aS);
+            if (aO === 0) {
+                return;
+            }
+            for (let c = 0; c < 3; c++) {
+                const b = _pixels[i+c] / 255;
+                const s = tPixels[j+c] / 255;
+                _pixels[i+c] = 255 * (
+                    aS * (1 - aB) * s + aS * aB * blend(b, s) + (1 - aS) * aB * b
+                ) / aO;
+            }
+            _pixels[i+3] = 255 * aO;
+        });
+        target.updatePixels();
+    }
+
+    /**
+     * Load the image with the given URL.
+     * 
+     * @private
+     * @method loadImage
+     * 
+     * @param {String} url The image URL.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    #loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            // keep the exported canvas untainted by cross-origin images
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`[p5.grain] The image ${url.slice(0, 64)} could not be loaded. Images from other origins must be served with CORS headers.`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Set the seed of the feTurbulence filter primitive of the given SVG 
+     * filter texture element. The filter primitive is either contained in 
+     * the element, or in the URL-encoded SVG background image of the 
+     * element.
+     * 
+     * @private
+     * @method setTurbulenceSeed
+     * 
+     * @param {HTMLElement|SVGElement} elt The texture element.
+     * @param {Number} seed The seed.
+     */
+    #setTurbulenceSeed(elt, seed) {
+        const turbulence = elt.querySelector('feTurbulence');
+        if (turbulence) {
+            turbulence.setAttribute('seed', seed);
+            return;
+        }
+        const bgImage = elt.style.backgroundImage 
+            || window.getComputedStyle(elt).backgroundImage;
+        if (bgImage && bgImage.includes('feTurbulence')) {
+            // the seed attribute is either plain or URL-encoded, e.g. 
+            // seed='0' or seed%3D'0' (encodeURIComponent encodes '=')
+            const seedAttribute = /(seed(?:=|%3D))('|"|%27|%22)(.*?)\2/i;
+            if (seedAttribute.test(bgImage)) {
+                elt.style.backgroundImage = bgImage.replace(seedAttribute, `$1$2${seed}$2`);
+            } else {
+                const encoded = bgImage.includes('%3D');
+                elt.style.backgroundImage = bgImage.replace(
+                    'feTurbulence',
+                    encoded ? `feTurbulence%20seed%3D'${seed}'` : `feTurbulence seed='${seed}'`
+                );
+            }
+        }
+    }
+
+    /**
+     * Draw the given texture image repeatedly along the horizontal and 
+     * vertical axes, starting at the given coordinates, until the given 
+     * width and height are covered.
+     * 
+     * @private
+     * @method drawTiles
+     * 
+     * @param {p5|p5.Graphics} ref The object onto which should be drawn.
+     * @param {p5.Image|p5.Graphics} textureImage The texture image.
+     * @param {Number} tW The texture width.
+     * @param {Number} tH The texture height.
+     * @param {Boolean} reflect Specifies whether every second texture 
+     *     column and row should be reflected.
+     * @param {Number} width The width that should be covered.
+     * @param {Number} height The height that should be covered.
+     * @param {Number} startX The x-coordinate of the first texture.
+     * @param {Number} startY The y-coordinate of the first texture.
+     */
+    #drawTiles(ref, textureImage, tW, tH, reflect, width, height, startX, startY) {
+        // texture current start x-coordinate
+        let tX = startX;
+        // texture current start y-coordinate
+        let tY = startY;
+        // flag that the first texture row is currently drawn
+        let tRowFirst = true;
+        // flag that the first texture column is currently drawn
+        let tColFirst = true;
+        while (tY < height) {
+            while (tX < width) {
+                if (reflect) {
+                    ref.push();
+                    if (tRowFirst) {
+                        if (tColFirst) {
+                            ref.image(textureImage, tX, tY, tW, tH);
+                        } else { // tColSecond
+                            ref.scale(-1, 1);
+                            ref.image(textureImage, -tX, tY, -tW, tH);
+                        }
+                    } else { // tRowSecond
+                        if (tColFirst) {
+                            ref.scale(1, -1);
+                            ref.image(textureImage, tX, -tY, tW, -tH);
+                        } else { // tColSecond
+                            ref.scale(-1, -1);
+                            ref.image(textureImage, -tX, -tY, -tW, -tH);
+                        }
+                    }
+                    ref.pop();
+                } else {
+                    ref.image(textureImage, tX, tY, tW, tH);
+                }
+                tX += tW;
+                if (tX >= width) {
+                    tColFirst = true;
+                    tX = startX;
+                    tY += tH;
+                    break;
+                } else {
+                    tColFirst = !tColFirst;
+                }
+            }
+            tRowFirst = !tRowFirst;
+        }
+    }
+
+    /**
+     * Get the cached pre-tiled layer for the given texture and render 
+     * target. The layer is larger than the render target by one tiling 
+     * period (plus the given margins), so that it covers the render target 
+     * at any offset within that period. The layer is (re)created whenever 
+     * the texture size, the reflect option, the margins or the dimensions 
+     * of the render target change.
+     * 
+     * @private
+     * @method getOverlayLayer
+     * 
+     * @param {Object} target The render target (see getRenderTarget).
+     * @param {p5.Image|p5.Graphics} textureImage The texture image.
+     * @param {Number} tW The texture width.
+     * @param {Number} tH The texture height.
+     * @param {Boolean} reflect Specifies whether the texture is reflected.
+     * @param {Number} [marginX] The horizontal margin around the render 
+     *     target, a multiple of the tiling period.
+     * @param {Number} [marginY] The vertical margin around the render 
+     *     target, a multiple of the tiling period.
+     * @returns {p5.Graphics}
+     */
+    #getOverlayLayer(target, textureImage, tW, tH, reflect, marginX = 0, marginY = 0) {
+        const key = [
+            tW, tH, reflect, marginX, marginY,
+            target.width, target.height, target.density,
+        ].join('|');
+        if (!this.#overlayLayers.has(textureImage)) {
+            this.#overlayLayers.set(textureImage, new WeakMap());
+        }
+        const layers = this.#overlayLayers.get(textureImage);
+        const entry = layers.get(target.ref);
+        if (entry && entry.key === key) {
+            return entry.layer;
+        }
+        if (entry) {
+            entry.layer.remove();
+            this.#cachedLayers.delete(entry.layer);
+        }
+        const periodX = reflect ? 2 * tW : tW;
+        const periodY = reflect ? 2 * tH : tH;
+        const layerW = Math.ceil(target.width + 2 * marginX + periodX);
+        const layerH = Math.ceil(target.height + 2 * marginY + periodY);
+        const layer = target.pInst.createGraphics(layerW, layerH);
+        layer.pixelDensity(target.density);
+        this.#drawTiles(layer, textureImage, tW, tH, reflect, layerW, layerH, 0, 0);
+        layers.set(target.ref, { key, layer });
+        this.#cachedLayers.add(layer);
+        return layer;
+    }
+
+    /**
+     * Switch the random function to a new substream of the built-in random
+     * number generator.
+     * 
+     * The substream is derived from the seed, the stream name and the 
+     * number of substreams already derived for that name. Stream ids given 
+     * by the user are kept apart from method names, so that a call with a 
+     * unique stream id only depends on the seed and its own previous calls.
+     * When no seed is specified, the random function given by the user is 
+     * used.
+     * 
+     * @private
+     * @method beginStream
+     * 
+     * @param {String} name The stream name, usually the method name.
+     * @param {*} [config] The config object of the method. Its stream 
+     *     property is used as the stream id instead of the stream name.
+     */
+    #beginStream(name, config) {
+        if (this.#seed === null) {
+            this.#random = this.#userRandom;
+            return;
+        }
+        const stream = config && typeof config === 'object' && typeof config.stream === 'string'
+            ? `stream:${config.stream}` : name;
+        const index = this.#streams[stream] || 0;
+        this.#streams[stream] = index + 1;
+        // hash the stream name (FNV-1a) together with the seed and index
+        let hash = (this.#seed ^ 0x811C9DC5) >>> 0;
+        for (let i = 0; i < stream.length; i++) {
+            hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193);
+        }
+        hash = Math.imul(hash ^ index, 0x9E3779B1);
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+        hash ^= hash >>> 13;
+        this.#random = this.#mulberry32(hash);
+    }
+
+    /**
+     * Create a seeded pseudorandom number generator (mulberry32), which 
+     * returns numbers between 0 (inclusive) and 1 (exclusive).
+     * 
+     * @private
+     * @method mulberry32
+     * 
+     * @param {Number} seed The seed.
+     * @returns {Function}
+     */
+    #mulberry32(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generate tileable value noise or Perlin noise values (0-1) for every 
+     * pixel of a texture. Multiple octaves are summed up (fractal noise), 
+     * each octave doubling the number of cells.
+     * 
+     * @private
+     * @method noiseValues
+     * 
+     * @param {Function} rand The random function.
+     * @param {Number} width The width of the texture.
+     * @param {Number} height The height of the texture.
+     * @param {Number} cellsX The number of cells along the horizontal axis.
+     * @param {Number} cellsY The number of cells along the vertical axis.
+     * @param {Number} octaves The number of octaves.
+     * @param {Boolean} [valueNoise] Specifies whether value noise should be 
+     *     generated instead of Perlin noise.
+     * @returns {Float32Array}
+     */
+    #noiseValues(rand, width, height, cellsX, cellsY, octaves, valueNoise) {
+        const values = new Float32Array(width * height);
+        const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+        let amplitude = 1;
+        let amplitudeSum = 0;
+        for (let o = 0; o < octaves; o++) {
+            const pX = cellsX * 2 ** o;
+            const pY = cellsY * 2 ** o;
+            // lattice of random values (value noise) or gradient angles
+            const lattice = new Float32Array(pX * pY);
+            for (let k = 0; k < lattice.length; k++) {
+                lattice[k] = valueNoise ? rand() : rand() * 2 * Math.PI;
+            }
+            const corner = (i, j, fx, fy) => {
+                const l = lattice[(j % pY) * pX + (i % pX)];
+                return valueNoise ? l : 0.5 + (Math.cos(l) * fx + Math.sin(l) * fy) * Math.SQRT1_2;
+            };
+            for (let y = 0; y < height; y++) {
+                const v = y * pY / height;
+                const j = Math.floor(v);
+                const fy = v - j;
+                const sy = fade(fy);
+                for (let x = 0; x < width; x++) {
+                    const u = x * pX / width;
+                    const i = Math.floor(u);
+                    const fx = u - i;
+                    const sx = fade(fx);
+                    const top = corner(i, j, fx, fy) * (1 - sx) + corner(i + 1, j, fx - 1, fy) * sx;
+                    const bottom = corner(i, j + 1, fx, fy - 1) * (1 - sx) + corner(i + 1, j + 1, fx - 1, fy - 1) * sx;
+                    values[y * width + x] += (top * (1 - sy) + bottom * sy) * amplitude;
+                }
+            }
+            amplitudeSum += amplitude;
+            amplitude /= 2;
+        }
+        for (let k = 0; k < values.length; k++) {
+            values[k] /= amplitudeSum;
+        }
+        return values;
+    }
+
+    /**
+     * Generate tileable paper texture values (0-1): low contrast fractal 
+     * noise overlaid with randomly placed fibres.
+     * 
+     * @private
+     * @method paperValues
+     * 
+     * @param {Function} rand The random function.
+     * @param {Number} width The width of the texture.
+     * @param {Number} height The height of the texture.
+     * @param {Number} cellsX The number of cells along the horizontal axis.
+     * @param {Number} cellsY The number of cells along the vertical axis.
+     * @param {Number} octaves The number of octaves.
+     * @returns {Float32Array}
+     */
+    #paperValues(rand, width, height, cellsX, cellsY, octaves) {
+        const values = this.#noiseValues(rand, width, height, cellsX, cellsY, octaves);
+        for (let k = 0; k < values.length; k++) {
+            values[k] = 0.75 + (values[k] - 0.5) * 0.3;
+        }
+        const fibres = Math.round(width * height / 150);
+        for (let f = 0; f < fibres; f++) {
+            const length = 4 + rand() * 20;
+            const angle = rand() * Math.PI;
+            const delta = (rand() - 0.5) * 0.2;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            let x = rand() * width;
+            let y = rand() * height;
+            for (let t = 0; t < length; t++) {
+                // wrap around the edges, so the texture stays tileable
+                const px = ((Math.floor(x) % width) + width) % width;
+                const py = ((Math.floor(y) % height) + height) % height;
+                values[py * width + px] += delta;
+                x += dx;
+                y += dy;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Generate tileable canvas weave values (0-1): alternating horizontal 
+     * and vertical threads with slight noise.
+     * 
+     * @private
+     * @method canvasValues
+     * 
+     * @param {Function} rand The random function.
+     * @param {Number} width The width of the texture.
+     * @param {Number} height The height of the texture.
+     * @param {Number} cellsX The number of threads along the horizontal axis.
+     * @param {Number} cellsY The number of threads along the vertical axis.
+     * @returns {Float32Array}
+     */
+    #canvasValues(rand, width, height, cellsX, cellsY) {
+        const values = this.#noiseValues(rand, width, height, cellsX * 4, cellsY * 4, 2, true);
+        // threads alternate over and under, so the pattern needs an even count
+        const threadsX = cellsX * 2;
+        const threadsY = cellsY * 2;
+        for (let y = 0; y < height; y++) {
+            const v = y * threadsY / height;
+            const row = Math.floor(v);
+            for (let x = 0; x < width; x++) {
+                const u = x * threadsX / width;
+                const col = Math.floor(u);
+                // shading across the thread which lies on top
+                const shade = (row + col) % 2 === 0
+                    ? Math.sin((v - row) * Math.PI)
+                    : Math.sin((u - col) * Math.PI);
+                const k = y * width + x;
+                values[k] = 0.55 + shade * 0.35 + (values[k] - 0.5) * 0.2;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Generate tileable halftone values (0-1): dots on a grid whose radius 
+     * is modulated by fractal noise.
+     * 
+     * @private
+     * @method halftoneValues
+     * 
+     * @param {Function} rand The random function.
+     * @param {Number} width The width of the texture.
+     * @param {Number} height The height of the texture.
+     * @param {Number} cellsX The number of dots along the horizontal axis.
+     * @param {Number} cellsY The number of dots along the vertical axis.
+     * @param {Number} octaves The number of octaves.
+     * @returns {Float32Array}
+     */
+    #halftoneValues(rand, width, height, cellsX, cellsY, octaves) {
+        const noise = this.#noiseValues(rand, cellsX, cellsY, 2, 2, octaves);
+        const values = new Float32Array(width * height);
+        const cellW = width / cellsX;
+        const cellH = height / cellsY;
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y / cellH);
+            const dy = (y - (row + 0.5) * cellH) / cellH;
+            for (let x = 0; x < width; x++) {
+                const col = Math.floor(x / cellW);
+                const dx = (x - (col + 0.5) * cellW) / cellW;
+                const radius = noise[row * cellsX + col] * Math.SQRT1_2;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                // antialiased dot edge
+                const edge = Math.min(Math.max((distance - radius) * Math.min(cellW, cellH) + 0.5, 0), 1);
+                values[y * width + x] = edge;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Generate a random integer between given bounds inclusively.
+     * 
+     * @private
+     * @method randomIntInclusive
+     * 
+     * @param {Number} min Min value that may be generated.
+     * @param {Number} max Max value that may be generated.
+     * @param {Function} [random] The random function. When no random 
+     *     function is specified, the configured random function is used.
+     * @returns {Number}
+     */
+    #randomIntInclusive(min, max, random = this.#random) {
+        min = Math.ceil(min);
+        max = Math.floor(max);
+        return Math.floor(random() * (max - min + 1) + min);
+    }
+
+    /**
+     * Register p5.grain methods on p5.prototype and p5.Graphics.prototype, 
+     * so that they can be called directly in global mode (e.g. 
+     * `granulateSimple(42)`), in instance mode (e.g. 
+     * `sketch.granulateSimple(42)`) and on offscreen graphics buffers 
+     * (e.g. `pg.granulateSimple(42)`).
+     * 
+     * Methods are registered only once. Registered methods delegate to the 
+     * p5.grain instance referenced by the sketch in instance mode, or 
+     * otherwise to the most recently created p5.grain instance.
+     * 
+     * If a method name is already in use, the method is not registered and 
+     * a warning is logged when p5.grain is set up.
+     * 
+     * @private
+     * @method registerMethods
+     */
+    #registerMethods() {
+        if (typeof p5 === 'undefined') {
+            return;
+        }
+        P5Grain.#current = this;
+        if (P5Grain.#registered) {
+            return;
+        }
+        P5Grain.#registered = true;
+        for (const method in P5Grain.#registrableMethods) {
+            this.#registerMethod(p5.prototype, method);
+            this.#registerMethod(p5.Graphics.prototype, method);
+        }
+    }
+
+    /**
+     * Apply the automatic stack (see auto) to the given sketch, if it is 
+     * the sketch of this p5.grain instance.
+     * 
+     * @private
+     * @method applyAuto
+     * 
+     * @param {p5} pInst The sketch that has finished drawing.
+     */
+    #applyAuto(pInst) {
+        if (!this.#auto || !this.#auto.enabled) {
+            return;
+        }
+        const ref = this.instanceMode ? this.instanceRef : p5.instance;
+        if (ref !== pInst) {
+            return;
+        }
+        this.#auto.stack.forEach((item) => {
+            if (typeof item === 'function') {
+                item();
+            } else if (item.method === 'textureOverlay') {
+                this.textureOverlay(item.textureImage, item.config);
+            } else if (item.method === 'granulateShader') {
+                this.granulateShader(item.amount, item.config);
+            } else {
+                this[item.method](item.config);
+            }
+        });
+    }
+
+    /**
+     * Register the given method on the given prototype.
+     * 
+     * @private
+     * @method registerMethod
+     * 
+     * @param {Object} proto Either p5.prototype or p5.Graphics.prototype.
+     * @param {String} method Name of the method to register.
+     */
+    #registerMethod(proto, method) {
+        const params = P5Grain.#registrableMethods[method];
+        const isGraphics = proto === p5.Graphics.prototype;
+        if (typeof proto[method] !== 'undefined') {
+            /** @internal */
+            const usage = isGraphics
+                ? `p5grain.${method}(${params.join(', ')})`
+                : `p5grain.${method}()`;
+            this.#registrationWarnings.push(
+                `${isGraphics ? 'p5.Graphics' : 'p5'}.${method}() could not be registered, because the name is already in use. Use ${usage} instead.`
+            );
+            /** @end */
+            return;
+        }
+        const pgIndex = params.indexOf('pg');
+        proto[method] = function (...args) {
+            const pInst = isGraphics ? this._pInst : this;
+            const p5grain = pInst && pInst.p5grain instanceof P5Grain
+                ? pInst.p5grain : P5Grain.#current;
+            if (isGraphics && pgIndex !== -1) {
+                args = args.slice(0, pgIndex);
+                args[pgIndex] = this;
+            }
+            return p5grain[method](...args);
+        };
+    }
+
+    /**
+     * Check whether WebGL is available in the current browser. The result 
+     * is cached after the first check.
+     * 
+     * @private
+     * @method isWebGLAvailable
+     * 
+     * @returns {Boolean}
+     */
+    #isWebGLAvailable() {
+        if (typeof this.#webGLAvailable === 'undefined') {
+            try {
+                const canvas = document.createElement('canvas');
+                this.#webGLAvailable = !!(
+                    window.WebGLRenderingContext
+                    && (canvas.getContext('webgl') || canvas.getContext('experimental-webgl'))
+                );
+            } catch (e) {
+                this.#webGLAvailable = false;
+            }
+        }
+        return this.#webGLAvailable;
+    }
+
+    /**
+     * Get the WEBGL offscreen graphics buffer used by granulateShader. The 
+     * buffer and its shader are (re)created whenever the given dimensions 
+     * or pixel density change.
+     * 
+     * @private
+     * @method getShaderBuffer
+     * 
+     * @param {p5} pInst The p5 instance used to create the buffer.
+     * @param {Number} width Width of the buffer.
+     * @param {Number} height Height of the buffer.
+     * @param {Number} density Pixel density of the buffer.
+     * @returns {p5.Graphics}
+     */
+    #getShaderBuffer(pInst, width, height, density) {
+        let buffer = this.#shaderGranulate.buffer;
+        if (
+            buffer
+            && buffer.width === width
+            && buffer.height === height
+            && buffer.pixelDensity() === density
+        ) {
+            return buffer;
+        }
+        if (buffer) {
+            buffer.remove();
+        }
+        buffer = pInst.createGraphics(width, height, pInst.WEBGL);
+        buffer.pixelDensity(density);
+        this.#shaderGranulate.buffer = buffer;
+        this.#shaderGranulate.shader = buffer.createShader(
+            P5Grain.#granulateVert,
+            P5Grain.#granulateFrag
+        );
+        return buffer;
     }
 
+    /**
+     * Methods registered on p5.prototype and p5.Graphics.prototype, mapped 
+     * to their parameter names. When called on a p5.Graphics, the `pg` 
+     * argument is filled in with the graphics buffer itself.
+     * 
+     * @private
+     */
+    static #registrableMethods = {
+        granulateSimple: ['amount', 'config', 'pg'],
+        granulateChannels: ['amount', 'config', 'pg'],
+        granulateFilm: ['amount', 'config', 'pg'],
+        granulateChroma: ['amount', 'config', 'pg'],
+        granulateSimpleAsync: ['amount', 'config', 'pg'],
+        granulateChannelsAsync: ['amount', 'config', 'pg'],
+        granulateShader: ['amount', 'config', 'pg'],
+        tinkerPixels: ['callback', 'shouldUpdate', 'pg'],
+        textureOverlay: ['textureImage', 'config', 'pg'],
+        textureAnimate: ['textureElement', 'config'],
+        vignette: ['config', 'pg'],
+        dustAndScratches: ['config', 'pg'],
+        lightLeak: ['config', 'pg'],
+        halation: ['config', 'pg'],
+        dither: ['config', 'pg'],
+    };
+
+    /**
+     * Texture types generated by createTexture.
+     * 
+     * @private
+     */
+    static #textureTypes = ['value', 'perlin', 'fractal', 'paper', 'canvas', 'halftone'];
+
+    /**
+     * Turbulence types of SVG filter textures.
+     * 
+     * @private
+     */
+    static #turbulenceTypes = ['turbulence', 'fractalNoise'];
+
+    /**
+     * Number of SVG filter textures created, used for unique filter ids.
+     * 
+     * @private
+     */
+    static #svgFilterCount = 0;
+
+    /**
+     * CSS mix-blend-modes of p5 blend modes whose names differ from the 
+     * canvas composite operations.
+     * 
+     * @private
+     */
+    static #cssBlendModes = {
+        'source-over': 'normal',
+        'copy': 'normal',
+        'lighter': 'plus-lighter',
+    };
+
+    /**
+     * Blend functions of the p5 blend modes, mapping the backdrop and source 
+     * channel values (0-1) to the blended channel value (0-1), following 
+     * the W3C Compositing and Blending specification. The blend modes 
+     * 'copy' and 'lighter' are compositing operators, which are applied 
+     * separately (see blendTexturePixels).
+     * 
+     * @private
+     */
+    static #pixelBlendModes = {
+        'source-over': (b, s) => s,
+        'normal': (b, s) => s,
+        'copy': (b, s) => s,
+        'darken': (b, s) => Math.min(b, s),
+        'lighten': (b, s) => Math.max(b, s),
+        'difference': (b, s) => Math.abs(b - s),
+        'multiply': (b, s) => b * s,
+        'exclusion': (b, s) => b + s - 2 * b * s,
+        'screen': (b, s) => b + s - b * s,
+        'overlay': (b, s) => b <= 0.5 ? 2 * b * s : 1 - 2 * (1 - b) * (1 - s),
+        'hard-light': (b, s) => s <= 0.5 ? 2 * b * s : 1 - 2 * (1 - b) * (1 - s),
+        'soft-light': (b, s) => {
+            if (s <= 0.5) {
+                return b - (1 - 2 * s) * b * (1 - b);
+            }
+            const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+            return b + (2 * s - 1) * (d - b);
+        },
+        'color-dodge': (b, s) => b === 0 ? 0 : s === 1 ? 1 : Math.min(1, b / (1 - s)),
+        'color-burn': (b, s) => b === 1 ? 1 : s === 0 ? 0 : 1 - Math.min(1, (1 - b) / s),
+        'lighter': null,
+    };
+
+    /**
+     * Canvas composite operations of CSS mix-blend-modes whose names differ 
+     * from the CSS mix-blend-modes.
+     * 
+     * @private
+     */
+    static #canvasBlendModes = {
+        'normal': 'source-over',
+        'plus-lighter': 'lighter',
+    };
+
+    /**
+     * Motions of texture animations.
+     * 
+     * @private
+     */
+    static #motions = ['shift', 'drift', 'wander', 'jitter'];
+
+    /**
+     * Default maximum amount of pixels by which the texture is moved, per 
+     * motion. Motions not listed default to the minimum of the canvas width 
+     * or height.
+     * 
+     * @private
+     */
+    static #motionAmounts = {
+        wander: 50,
+        jitter: 4,
+    };
+
+    /**
+     * Built-in response curves mapping the luminance (0-1) of a pixel to a 
+     * grain multiplier.
+     * 
+     * @private
+     */
+    static #curves = {
+        linear: () => 1,
+        midtone: (luma) => 4 * luma * (1 - luma),
+        shadows: (luma) => 1 - luma,
+        highlights: (luma) => luma,
+    };
+
+    /**
+     * Random grain distributions (see randomGrain).
+     * 
+     * @private
+     */
+    static #distributions = ['uniform', 'gaussian', 'triangular', 'poisson'];
+
+    /**
+     * Mean event count of the poisson distribution (see randomGrain).
+     * 
+     * @private
+     */
+    static #poissonMean = 9;
+
+    /**
+     * Interpolations used to upsample grain (see createGrainSource).
+     * 
+     * @private
+     */
+    static #interpolations = ['nearest', 'bilinear', 'smooth'];
+
+    /**
+     * Error diffusion kernels used by dither, i.e. the x- and y-offsets of 
+     * the neighbouring cells and the fraction of the error they receive.
+     * 
+     * @private
+     */
+    static #ditherKernels = {
+        'floyd-steinberg': [
+            [1, 0, 7 / 16],
+            [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16],
+        ],
+        'atkinson': [
+            [1, 0, 1 / 8], [2, 0, 1 / 8],
+            [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8],
+            [0, 2, 1 / 8],
+        ],
+        'jarvis': [
+            [1, 0, 7 / 48], [2, 0, 5 / 48],
+            [-2, 1, 3 / 48], [-1, 1, 5 / 48], [0, 1, 7 / 48], [1, 1, 5 / 48], [2, 1, 3 / 48],
+            [-2, 2, 1 / 48], [-1, 2, 3 / 48], [0, 2, 5 / 48], [1, 2, 3 / 48], [2, 2, 1 / 48],
+        ],
+    };
+
+    /**
+     * Blue noise threshold ranks (0-4095) of a tileable 64x64 pattern, one 
+     * string per row. Every rank is encoded as two base64 digits. The 
+     * pattern has been generated using the void-and-cluster method with a 
+     * sigma of 1.5, an initial density of 10% and the seed 0x5EED.
+     * 
+     * @private
+     */
+    static #blueNoiseTable = [
+        'A9vbfy1lC7bE+FFZ3gPEiFss7nlWvzVk9xj0x375Aa5yM3uSYWyQA7laxFgFzpKIWee5wiLcubja6lcYSnIzaPP2hrK53Cf2Oy/6jC4qFG8Ku7b45MULC3eYW+wNap01',
+        'qvTL5jPonhxjTRfoyYCda7GtfuPnBr0KZ7F9OfotS5lSgIDe+lhGNoskF+5HZJtiPY1DA1bsRbH6x7Mz1rtm54oiBbrgTEmQDWbbVMvoZSJUoMPcG/ibrpzeNipERDgj',
+        'K+lLb6Je8BilNXrNYtnC5zzMV/3xnZMJh64ld3vMKiybVm1pQ0n/Zn9JTaMTkv+3GWqE6Jl3/NfjXCozCNepGPW2w7+HYxy467JF1fNWfh2jUwyj+NLga24sF19PDx4Q',
+        'WA+pEZt1YFAl48Ho9cLqSlqPKDbYuE7ySRsHILWZ/JEhq0dGFy3iJVx0ekqZBlcrTChnX/NrvmDq3Xio98To0TkBL8eEE0NmiOtImmEKsBkZDIdQmvuARkl2VUiQc0u+',
+        'HSyVfa25SapjcJvdVej2wDBB/XhIHfYGDDzGmzb+0/icLs7JvlVPjLDG7WW31iul4DJLyEFRVKryQFJkaerWIQ5YRm1vprvvW8RSdH+eP96nKX3yXNB68OIZxC1jMYnn',
+        'ZlQ7q+L0kQzuPig4DN1ueVPWmcTH0ApZgG9oOHBRszQqZhk2OqpbcBuWQemJItOkjuaC8MnN14bd8foByLO4fNtyaHG+ga8QAy41IIxHWGbNwGh7QQyNfzY+qjA0Tq6Z',
+        'jQCF70bADv/fJX4ZscIMY85pxEFp4ILAQ3aEkd4dU38/Ha1bA3/oKw4VFC0Lf/+EE7sOP4e+KcjNAUXeFS7sllBT/pnKUVLecXzUo6hTCTpwN0G3qr57L4k/PU/+cOtX',
+        'OEzqmtUdv8e6Ywm2S/+Dp/L3WRjybpue60GivnJigTnmx4eWrwTehRXTrMbiSepYWh2tB/u1TY5dxGfx1OUjLQX1wmOp23s8klX3NATp8b1qky/MT7b1D43nvwhjFE3D',
+        'X4eoG033LYrhFWzbNpbzixE3tS88BWUvhqp0Tj0pbeCkPQXp44GEyBlmM57KAoxnLPlna9/qGnq7LwQ1kbuJ6KpHd+EkhyH9+oDo3otYKFd6YdAh00m/tQXGHWSrpWJ7',
+        'u0+tqwPeiH8nWtjv5CAcyI3kPre1onMq1IC4/BN9rX7rvuJWjfbrQJ87HOu9ivYz6SRAzlhwVwlTaX+XH4cWDVRh0W7+WQxfSSnlayjME1xwREt2gYI8Qu9meyxz7tke',
+        'QyAHchVv10CJRQuBJTgETbmlZNH0xd5lYOeAlhXKFehBS3og+TznCss5erUD2GI5rIfcDMN445wLD52CsVOG4LjOJubIrLMVee6QPd09WD52oqMR8DamzJmLMhaFDpVV',
+        'zg5Gk1Iawamsc77cpLYa8JK/t6/vR+jSE9vDJ6yU4tZY2pEeNBUxnvYK5cNsobc6FF8It+orIrd9SXoUW/f9x1VIu2Cykz2OA+uNFrqALXgLDBUg3MFuhmBM5osC2agD',
+        'HRNUs/9eaUMk0aGsPhv7ES1dhVCvcarRPV78oVRsjbIvtNc/vNhb3JJbkSDm9gPyzWXgRzaKyM9qMsi7CS8qGcng/GPZ5aTyh+Yf9FdPw++imYvZYmpGPwwVWHJNO+oK',
+        'wFXcgtS0DdrnhKWi3Ki6cwO8VloF46LE2UU7cNBf8yPCmjV97zAZQ8wna6sQV5vglPKH18irAzVAsq3YvkRrbhLIfQYRomIWywL1lFGfSfZrIPfCNdz6/ddLqdiT+JbM',
+        '6kEMn2yf5kQW++BtnGKU9Uqsz0IhZfwlhEGpztqYeqwzDc0OKapzen/wGA1nh9BGd4+0Fdnq6We2G2ZeKbhO6Ork1FENugdF7BqgVS4hpQOOyO7jCHjrJhStFXzaB+Rx',
+        'eh1hLVb/H3l8Ynx/SktZZUCPig+BSIAYm5XQ+1LuTt4Ba4h3SC4gXmNcmyKfSM5QM1s0blQhLM0kkx7fpKz3AXUUONkE9LRqC8PAvsgzAL2vizTgr2X66hnI31Xksulg',
+        'OYrqVW39iGwHLCd/3zHK6BUTN2sve/6yuLOxjVu5HjnONR+glvE5rx0IgJ7hZ+xto8Tc4OwXqSX2SdEmPDXXmAvf4iHdWXh22qbSIm/Rc8tKFYbj2THMu3cLNxgS8hHx',
+        'Zy/xBJqHS7Eb6toEORjjcTxkmfFfzSMScj3FDEZ07dWktRGzVEwMcoBjUztoEcjZH+YVCggZHe/7yxr7dB94FmfZaappy/Kns1lUzwWfLxRi8unkOahfR1A8weJpUuyt',
+        'kgv2fWNn9HZxswUbAm0bq8KO8VaYVFpNINS9qpgwzXA43dft1YLZ9kQgoZ2DNj9vet0Q8alYO7cEB0hk3QJlxcR2L5//BUZA76SqCeq/kFwcYsKCzB+6p+5PjH2YpcEr',
+        'ROIsXJy+kRJ+2Qhg/aXlF/SFgq1tDK/Tkw53w0JdPglDbaQ+ohYpkG32JcdSVxmoQDt3LlWB3anTvWNaUioWit6stkjxQzopecHs56fi13EO5fghDJdJV1FnYkPbc97G',
+        'guo02hFTr0dcD/QctxdT5vlVvhOQsGfwYJEWduVZ+qrsKN8FCRs9F7gOxXDhrm3qAWcQpxExyPSGIj83ax0hCAW6Ghc2yK3NNbv1U9J2ZzQHqhUAt4L+xyoO9yuIB50c',
+        'M7+Mb9R56zVbyXm7I1NeykCKZaJH35Q5ymMXmg0gFbYUwdhx0tOs6rTXZp/chSKLx5TG5Lh5aS6oj+sWFLQGefpv3wK2VcFIi39KnsuK4nmNIb8kiu4FRBIBgQLkmbWp',
+        'Gqs2AKmiKpiK9zZH4Sg9p3U59SnVc1AtrA9aRgp4fk6LTDHUdMWFy7pmMBvIQrYi7DlOJCuhNtBNWcde4PuP+sNHwbk796soYuDPcdOlB3ebxBYCAfbql06mUR15bgwA',
+        '5WiSWM4WxSOnCcujFlRL6xIXf70ETl7NhlHmat2ZBaOMmFrO+Qj1I+CqmB21GXqUdxEGXD9begq4z8Lzk5VnH8haZTAAPlfs2gSVyZkY+ZTO2iNFpf0eE4Z/rGDU8rRy',
+        'dEOTvFG8aQq2T8ev2Al4bXtGPOF0u6MrXAxhkVLBttZ83tEBMgaLt08LbxVGii8xMuxN1WQTlsHT+dSmCoo32HRX7wrDy0H/okLh7RGxXqsKFtj9/jTut/MQy5jsJPpS',
+        'Dwnb1gfb86lG5+Inr3WKBAyy/hlXaf28oTCr5mUq/riawyVBzd4pR/gXOByuBPtwTxnHgxC+3bavvxgC7CvEboDzmdUXci6gXvuwd0paKzgrvqRJdlIlht9XQteTXn0u',
+        '/yVXKhS2BzMfYvyRO58eLoiEXZD6sdIUeJRMr9f0GHQpI7d5oJAJlIHQ3hofKsas4MIGZMshVYOvmuJ0YlN1jIzxLG42EaOSj8BOU44by1az7eCD4ow9Y2oDBe58vYNk',
+        'a3jX5FtWn30Dg3EnkPctqa24QnfX5XU1+az+L/ZW02p66wthO2YX/Lv+XFdq91jnQawS/iL77VylApsF47G4/kWWtzeOxqn9/K0RP6i+DuNQmkWJqfOrGG3HVhlBHDrz',
+        'A2yiH1dIWu/CRYt93pT3DSwUJanzyqNhjAEVl68dA/ktWUEy1we0KjqWDXSK0NFxqFB8dYknGZhzby0PUkfJo/PkFsi4TAJ/aIgeIYsT+SSo2cI4jD0YcstDLOx6QCgc',
+        '36pVQx6vD1K7pdZbJj9+l9Zo7TTdADcqwEYDuDSYyTcGN69MlzyJQOhv7isxMjfS5/Xr2PRaquXS4CQdleDRwo2bao9Zsr3VDTvQ49W9n5dtuZZE9NDQSuhD+Yak63Tv',
+        'I3YhiWwBlu2EfKArzPgROdHCsSik9pqXIA6/Ktg0Gm3viRJGaBCa51VoIdlbaDvCTfmPJxuq6aNCEYraLN8mXtJEmpAuOwXzp7RuedMWGB0JBkPFemnw4eHupBCzjltg',
+        'eS+vE+MNbLP1vP6XS8qnxQdU1TLtZPQM2yVCoHZdtJRWpyw2Tksjnxc4xA3eAq85G60Bg8Clcbly/Ado1UihRGui6TgyzmlQ7xFNya8pabjg7QqlxVK4VquzOcXhz9M/',
+        '2oVJxuqz9OWnG7j3MKX8EX6pVzCxyClqfFBo0f9GMe59BxeK+WM62sD+O6UOi8NYpnP093WqycTSHwvVZZBqpTcZNKU0HzczLLijooUKtaJSSHXaEw/ekU1XeD7XGynE',
+        'BukJPffVC/2/pCbv+50rm0QlgWpg5OF6ufOUiXEvdjlJXU1QFhjwYTgm/zsRYLy2e8awsLLT38pkhWNfUF7ozRGV2zq6/PvAWz2IPMATfO12mr5IhFNybHAgq3R9vXaZ',
+        'r/6NIS0qlMR0KSt7Bsh1J8u/99MpcFUG/lYoqyxUUmzTKxm+RpvSI9zOGNmTJZ74DH2mF8j6QoAexJ5BsIJvkhXEf8CWmVOeEP6eZuwu+/M+GLccuH0dT45bKgiq+LOF',
+        'y3ShdNXdtP8EgHzsQBaR27UsGjkmw6IojT29KEQN+OGutB8NbQ5qq9Tr6qbWvHRtm3UrwQZg6+fLYPEzmhe4P89nwxSPary8ezrBIelrUtrSzLRICIpoITmax8YQD7gp',
+        'KAo4+jAONJadFVV75VqtEHd8r4Xj1+QYs3DkcxnihoZtOjgUASNMiwdfPKBYhh5NMmfr/WJml5z/OD+ual2RDgslLi4UHZ8Rj4Sx1GdCDjidZX8vjkV492b3PLqI1sU8',
+        'ljFAuXhi1MoRw3jFMMmK9DypOW7bAdfp8gWSwf69CU3/pM0nWrw4Eu3rp2yHV6Hc04pFB4t5UEGYqCTZIgxlV+cUoAglunWYB1MH9wtAPp6cI6vLMn2Ff5Cn62Hgdz8A',
+        'aq3ZViQK50JsTU/bCCXoRTimFkoaaVmUMOp8SJJOXPupGCSplC+9n1YHLf+IkrtpcMXiQk2+dW8ov5i94co9NT5xAET+KVqk3snfYNHBziWbnjdrEoqoQ6u4kqSvsUNP',
+        'iPwTH5dglxDnsteP0yusbwJf4rvtR3zoHI4vjB0imSe7L97PdVJRRN08F3eQSDCp9EKkrujoMvX5BFPabZEghUvclZ/00mbug2QRvyeUjqA63IS46DYZzvK1Xb4azYCQ',
+        '/8OZn489W7zDaMLRnLHF79reWCeiDt+UX0dvBIOL/ZTi1yriELuaanhurT6HM0n0wkhC4mEJxonyfY7FtqU29VRFGTZqOoDs7LFw11LH9dsiNuwZjGHyna+VeZGSnAYy',
+        'T50wBZtLMbie65Rc3OgMPPlwzcMdkCrCPvx+rtY3wWDOZ1jWPSy69RBLUHvrY916TWHXaiU+7mHlz5LJlR1PI2eNzfq1iAxOmGVdbRocSBZwgAED84bCPRAIi/QLucJ9',
+        'pha+hNRo2LGlpIAkWxwgDiUaGR6bbB2lIqin73GFhXpAJI5DUplcLao130IOjmFDfG8Pl/tsPscgrPSgCZZRpt4GWIK85iSzJg+RuVCY5rHi2KqMT1uQ3PpUx97EcH4+',
+        'ICwCFo7OceVDud+kkobU8+2JhYsyS6CwolUZLd1oQS8stnfeCf7AXufTOubn/sr8P5zFMCBwiy2NWl+AiMwPO0Dlkku8BQZGsDeaOIh/xLmOWEMwiVJrdyWoLbTnChje',
+        'P+9YWgkcxvKmeCOzHhs6MFoxZcJw/mxTfR55aGnBdaV0M81abPrQGkuC0zm8TzAN37XMpDwr82KGEtncLy5gfP+bSAcK7lnd0UFQ3AUCKPdd/nyrBm7pwsER/Dg5sE2M',
+        'e3nMMAsADf6Aisyn4XSTfqBSyzQil1YEN+z2HGuRB7xWFznSPqzjTK9lC2LDxseGkfHrb5SOfHYeva0vbcUSF2oPydMtg/IKQfkNYr8WrVD0PjsaX+mZQIrbZD0MNVXy',
+        '4RBDzQQ/Z5n+T2CLZBm41eWd7YdsFKvJACqOQ9+7f+34Y79/g1JJk8auh4Ws7us+L2+h0CDC4zqTQvhMARtC2WYbHEsY1VWV/QwJAjnJzCagka4xfMGI6IjEIynYEstl',
+        'Job2/Vg73RIF8lrZLj/HFqvjI0rK4jiL81cVkXVQMLliSjseAi4NwqNL5KoQGaQwYYqbhcOAmDG92nMZ/4jJK6mC9BTwCiqVcCJzfgRfLm2rFJTVKez1bFT03UdK8ZTB',
+        'mWwOUPFHtcNgdmxIj/btQEgsmXM2TsHkWa1/JQ68rJGg1NLSc+W5o5E8SU1Ccnwt6CFgThuo9sV8dhuxYARwxPclOPgB5hlNN84KtM6jXWhLvio++ms4NIv0AsPmxrhP',
+        '7SOgqBZFkM06WTRUEE0xsXVO9faj2ftdOhoXDYd7v3aJiZ7kvpQb/UfdsnKBi5C5med21LZILFjUDy5UpeGQ72Bn20uFY6E2yAT9GdkDCj8SM9cuXwCunDfv95qQYIFa',
+        'bGCV2xKq9CAVgg7qpXK043ByyGGUk0d10XZCxgR74wBvPNpiHbksC9yeY59AUh3fPtKR7aAwsJy9PultJ4f6rlXLk6H7RZ9uejn607a8sPSwz7HHkuRd2dV3Ipk3MI1c',
+        'sNjheHveQPoezAH2aTjKPTfDn7Rl6fBEKd/SjpMcnXXIzyfEUQ40b8MlnFFjvKZmqLxYiJoNcf8UUf1BbD6MTF0oLryoi1spKrYBPG+zJKnefm4/uv7gFPyDcI6PuyUe',
+        '+rQ4G15AVrcSMyuT26Vf+wumJMYqq5gvVLrjEIf18ctrE/+CLprd05Vy6EO9k9Bc/5S1GrWPNvHngbCXsmNZEFoSdp6Ua/Av5Jv4DaiCvOW1ABPHZ2goMxrFSNC1gkIH',
+        'zNYcmqr5D2/1iNSQCMqeFObV0S8zN7v64AQ2zZZvI/SikAa0wKBdiDG5qxfn2wcvMDf403tO6FwjpJ/FVgw5hA9QP3GJVHp1QVlH2VcPNS6i0sqcIwnpXf/2jz3SPBov',
+        'Ax7HMPffxxJDl75ReLzHNEj5SsF5mHDLcRlEGb6YpR1ANq4EW0n8Rv+yw8TmJqv94knRY4B9kLSEZ6KZjc4JZiIVtulkxK/3gKIkUM8CEfk4dwUn8j1xBivUKvZQxDdk',
+        'KQi02uRVZ31zWjGenrYS71sZ3leRxeYM+PLKuOUYeMAGrrgiGD7ZelLWahDZo7WLETP/90Kl3WfBEq1ZQsAFqmUJ1SYjEQMo1EZ4tUouR6ySKMteFii2TTeBpPF49WV2',
+        'vRT6sgDFpONOtv9IP7JYgfBVWwK96VQUqKhZ3LOVl+/gVaKWyFPItT3TkW0j9Tbktfh8xZcyO/sb8GmnvGeI+GNNiU7vfUSZm6BhzEHNhQY14fQZcmzVNl7MygR4g6nt',
+        '0lFM+cc35wheA5dip93GurQjoYhss7HqVpCmZkxbFcbJuG4ulfcDCBXRIRRCgdND5ZGOTQpqGwzhUBMaX7HvnQwYC6Kypu4YWy8tdOOi/IqNBKmR+KqDW4IDjiCb5SOK',
+        'esXxkjJ1VRwhR8z4VtEUbOys/tD82XdD0Z8TrEJ366RPipEdSy1kqq97nuxaAQrfVT0+lK80ZsjRCGg+yW3jbKTI5uc5zKGvuuKYk+2kVNJBxpaWL6EpuMbf2BrHZ9IJ',
+        'oj3mPJyvm9HP+xkOKJ8HldIiUWaAMEnWO1jdTPeuoCzkMU9rY/JAhHN3UIb761mMJyewBpMGrc3EWm/uqJEAOmkisMWOPxjta1ResfCtwIex7UjYUy0GgP9hK3U/v/9t',
+        'SbtjBg7IbTroNzZVvTgVOX4ytbkH8wxiBHukGM3+XHB2dRtEmxxM6dD9vB1RGoY0/YwvXO6GRHHVutJ5RjfA8XIu19BC+2w/EC6ugnXVnoN/ScD33unURKAboGOCifDb',
+        'KKdXjPUlFBf31HCE6RS+qRAPfIPzHJXYhJa5/EN5wpj73cU6DAPXeXXslALniBRntFOJosh0yheFmEac4TodwwYggNoLMie9nP1mLv9iGK3BuYpsdnHp64Zjxm5Eck2S',
+        'mwzI/9NGwR5nRRowdbHY0FZOw122oy5tQX1Km1Ixr6QmHA8iiI1JqiHt+fr14HcpEl17IEaNC09jOt0HAnVsM4EitVSW5eX9IcUNdAx2kIaOKo+4XBNwtHhdSLEjrvVu',
+        'ObZLHLqGWvkTKTuUWNmI+8LUT/E6dZKurYDrUcflZK0VcAo2JtTN5sbmO3UoCOoI8YkKTJ5TplVjFvr+iY+nlozr77b0FUt8zzp5AMQArUTMhpBXxRlp2eJn/OkpIf7/',
+    ];
+
+    /**
+     * Cached blue noise threshold ranks (see getBlueNoise).
+     * 
+     * @private
+     */
+    static #blueNoise = null;
+
+    /**
+     * Film stock presets used by granulateFilm.
+     * 
+     * @private
+     */
+    static #filmStocks = {
+        'color-negative': { curve: 'midtone', chroma: 0.25 },
+        'slide': { curve: 'shadows', chroma: 0.1 },
+        'black-and-white': { curve: 'midtone', chroma: 0 },
+        'pushed': { curve: 'linear', chroma: 0.5 },
+    };
+
+    /**
+     * Color spaces used by granulateChroma. The apply function adds the 
+     * given luminance grain and the chroma grain (sampled per chroma 
+     * channel) to the given RGB color (0-255) in the respective color 
+     * space, and converts the color back to RGB in place.
+     * 
+     * @private
+     */
+    static #colorSpaces = {
+        'rgb': {
+            chromaChannels: 3,
+            apply(color, luma, chroma) {
+                for (let c = 0; c < 3; c++) {
+                    color[c] += luma + chroma(c);
+                }
+            },
+        },
+        'ycbcr': {
+            chromaChannels: 2,
+            apply(color, luma, chroma) {
+                const [r, g, b] = color;
+                // BT.601 full range
+                const y = 0.299 * r + 0.587 * g + 0.114 * b + luma;
+                const cb = -0.168736 * r - 0.331264 * g + 0.5 * b + chroma(0);
+                const cr = 0.5 * r - 0.418688 * g - 0.081312 * b + chroma(1);
+                color[0] = y + 1.402 * cr;
+                color[1] = y - 0.344136 * cb - 0.714136 * cr;
+                color[2] = y + 1.772 * cb;
+            },
+        },
+        'oklab': {
+            chromaChannels: 2,
+            apply(color, luma, chroma) {
+                const toLinear = (v) => {
+                    v /= 255;
+                    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+                };
+                const fromLinear = (v) => 255 * (
+                    v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(Math.max(v, 0), 1 / 2.4) - 0.055
+                );
+                const r = toLinear(color[0]);
+                const g = toLinear(color[1]);
+                const b = toLinear(color[2]);
+                const l_ = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+                const m_ = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+                const s_ = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+                // the grain is given in the range of RGB values (0-255)
+                const L = 0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_ + luma / 255;
+                const A = 1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_ + chroma(0) / 255;
+                const B = 0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_ + chroma(1) / 255;
+                const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+                const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+                const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+                color[0] = fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s);
+                color[1] = fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s);
+                color[2] = fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s);
+            },
+        },
+    };
+
+    /**
+     * Flags whether the methods have already been registered.
+     * 
+     * @private
+     */
+    static #registered = false;
+
+    /**
+     * The p5.grain instance registered methods delegate to by default.
+     * 
+     * @private
+     */
+    static #current = null;
+
+    /**
+     * Methods that can be used as built-in steps of pipelines.
+     * 
+     * @private
+     */
+    static #pipelineMethods = ['granulateSimple', 'granulateChannels', 'granulateFilm', 'granulateChroma'];
+
+    /**
+     * Sketches (or p5.prototype) the auto hook has been registered with.
+     * 
+     * @private
+     */
+    static #autoHookTargets = new WeakSet();
+
+    /**
+     * Function registered with the 'post' hook of p5, which applies the 
+     * automatic stack of the respective p5.grain instance after every draw.
+     * 
+     * @private
+     */
+    static #autoHook = function () {
+        const p5grain = this.p5grain instanceof P5Grain ? this.p5grain : P5Grain.#current;
+        if (p5grain) {
+            p5grain.#applyAuto(this);
+        }
+    };
+
+    /**
+     * Granulate the pixels of the given pixel row, i.e. add the grain 
+     * values to the RGB(A) channels and clamp the results (see clamp). 
+     * Used by granulateSimple, granulateChannels, their pipeline steps and 
+     * the Web Worker of their asynchronous variants. The function is 
+     * stringified for the Web Worker, so it must not reference anything 
+     * outside of it.
+     * 
+     * @private
+     * 
+     * @param {Uint8ClampedArray} pixels The pixels.
+     * @param {Number} i The index of the first pixel of the row.
+     * @param {Number} x0 The x-coordinate of the first pixel.
+     * @param {Number} x1 The x-coordinate behind the last pixel.
+     * @param {Number} y The y-coordinate of the row.
+     * @param {Function} grain The grain source (see createGrainSource).
+     * @param {Function|null} grainWeight The grain weight function (see 
+     *     getGrainWeight).
+     * @param {Boolean} channels Specifies whether one grain value per 
+     *     pixel channel should be used.
+     * @param {Boolean} alpha Specifies whether the alpha channel should 
+     *     also be modified.
+     */
+    static #granulateRow = function (pixels, i, x0, x1, y, grain, grainWeight, channels, alpha) {
+        const channelCount = alpha ? 4 : 3;
+        for (let x = x0; x < x1; x++, i += 4) {
+            const weight = grainWeight ? grainWeight(i, x, y) : 1;
+            const grainAmount = channels ? 0 : Math.round(grain(x, y, 0) * weight);
+            for (let c = 0; c < channelCount; c++) {
+                const value = pixels[i+c] + (
+                    channels ? Math.round(grain(x, y, c) * weight) : grainAmount
+                );
+                pixels[i+c] = value < 0 ? 0 : value > 255 ? 255 : value;
+            }
+        }
+    };
+
+    /**
+     * Web Worker used by granulateSimpleAsync and granulateChannelsAsync, 
+     * which receives granulateRow. The function is stringified and runs in 
+     * the worker scope, so it must not reference anything outside of it.
+     * 
+     * @private
+     */
+    static #granulateWorker = function (granulateRow) {
+        const mulberry32 = (seed) => {
+            let a = seed >>> 0;
+            return () => {
+                a = (a + 0x6D2B79F5) >>> 0;
+                let t = a;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        };
+        self.onmessage = (event) => {
+            const {
+                pixels, pixelWidth, x0, x1, chunks,
+                amount, alpha, channels, distribution, poissonMean,
+            } = event.data;
+            chunks.forEach(({ y0, y1, seed }, k) => {
+                const random = mulberry32(seed);
+                const grain = () => {
+                    let value;
+                    switch (distribution) {
+                        case 'gaussian':
+                            value = Math.sqrt(-2 * Math.log(1 - random()))
+                                * Math.cos(2 * Math.PI * random()) * amount / 3;
+                            break;
+                        case 'triangular':
+                            value = (random() + random() - 1) * amount;
+                            break;
+                        case 'poisson': {
+                            const limit = Math.exp(-poissonMean);
+                            let count = 0;
+                            let product = random();
+                            while (product > limit) {
+                                count++;
+                                product *= random();
+                            }
+                            value = (count - poissonMean) / Math.sqrt(poissonMean) * amount / 3;
+                            break;
+                        }
+                        default:
+                            return Math.floor(random() * (2 * amount + 1)) - amount;
+                    }
+                    return Math.min(Math.max(Math.round(value), -amount), amount);
+                };
+                for (let y = y0; y < y1; y++) {
+                    granulateRow(pixels, 4 * (y * pixelWidth + x0), x0, x1, y, grain, null, channels, alpha);
+                }
+                self.postMessage({ type: 'progress', progress: (k + 1) / chunks.length });
+            });
+            self.postMessage({ type: 'done', pixels }, [pixels.buffer]);
+        };
+    };
+
+    /**
+     * Vertex shader used by granulateShader.
+     * 
+     * @private
+     */
+    static #granulateVert = `
+        precision highp float;
+        attribute vec3 aPosition;
+        attribute vec2 aTexCoord;
+        uniform mat4 uModelViewMatrix;
+        uniform mat4 uProjectionMatrix;
+        varying vec2 vTexCoord;
+        void main() {
+            vTexCoord = aTexCoord;
+            gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
+        }
+    `;
+
+    /**
+     * Fragment shader used by granulateShader.
+     * 
+     * Generates random integers between -uAmount and +uAmount inclusively 
+     * (like randomIntInclusive) and adds them to the sampled texture color.
+     * 
+     * @private
+     */
+    static #granulateFrag = `
+        precision highp float;
+        varying vec2 vTexCoord;
+        uniform sampler2D uTexture;
+        uniform float uAmount;
+        uniform float uSeed;
+        uniform bool uChannels;
+        uniform bool uAlpha;
+        float hash(vec2 coord, float channel) {
+            vec3 p = fract(vec3(coord, uSeed * 1000.0 + channel) * 0.1031);
+            p += dot(p, p.zyx + 31.32);
+            return fract((p.x + p.y) * p.z);
+        }
+        float grain(float channel) {
+            float r = hash(floor(gl_FragCoord.xy), channel);
+            return (floor(r * (2.0 * uAmount + 1.0)) - uAmount) / 255.0;
+        }
+        void main() {
+            vec4 color = texture2D(uTexture, vTexCoord);
+            vec4 amount;
+            if (uChannels) {
+                amount = vec4(grain(0.0), grain(1.0), grain(2.0), grain(3.0));
+            } else {
+                amount = vec4(grain(0.0));
+            }
+            if (!uAlpha) {
+                amount.a = 0.0;
+            }
+            gl_FragColor = clamp(color + amount, 0.0, 1.0);
+        }
+    `;
+
     /** @internal */
+    /**
+     * Log the given warning message, unless ignoreWarnings is true.
+     * 
+     * @private
+     * @method warn
+     * 
+     * @param {String} message The warning message.
+     */
+    #warn(message) {
+        if (!this.ignoreWarnings) {
+            console.warn(`[p5.grain] ${message}`);
+        }
+    }
+
     /**
      * Checks the validity of the given arguments to the respective method. 
      * Unless ignoreErrors is false, errors will be thrown when necessary.
@@ -492,6 +4508,12 @@ class P5Grain {
                         ) {
                             throw new Error(`[p5.grain] The optional config.random property passed to p5grain.${method}() must be of type function.`);
                         }
+                        if (
+                            typeof args[0].seed !== 'undefined'
+                            && (typeof args[0].seed !== 'number' || !Number.isFinite(args[0].seed))
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.seed property passed to p5grain.${method}() must be a finite number.`);
+                        }
                         if (
                             typeof args[0].ignoreErrors !== 'undefined'
                             && typeof args[0].ignoreErrors !== 'boolean'
@@ -526,16 +4548,176 @@ class P5Grain {
                         }
                     }
                     break;
-                case 'granulateSimple':
-                case 'granulateChannels':
+                case 'reseed':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && (typeof args[0] !== 'number' || !Number.isFinite(args[0]))
+                    ) {
+                        throw new Error(`[p5.grain] The optional seed argument passed to p5grain.${method}() must be a finite number.`);
+                    }
+                    break;
+                case 'setState':
+                    if (
+                        typeof args[0] !== 'object'
+                        || args[0] === null
+                        || (args[0].seed !== null && (typeof args[0].seed !== 'number' || !Number.isFinite(args[0].seed)))
+                        || typeof args[0].streams !== 'object'
+                        || args[0].streams === null
+                        || (typeof args[0].animations !== 'undefined'
+                        && (typeof args[0].animations !== 'object' || args[0].animations === null))
+                    ) {
+                        throw new Error(`[p5.grain] The state argument passed to p5grain.${method}() must be an object returned by p5grain.getState().`);
+                    }
+                    break;
+                case 'granulateSimple':
+                case 'granulateChannels':
+                case 'granulateSimpleAsync':
+                case 'granulateChannelsAsync':
+                    if (typeof args[0] !== 'number') {
+                        throw new Error(`[p5.grain] The amount argument passed to ${method}() must be of type number.`);
+                    }
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && typeof args[1] !== 'boolean'
+                        && typeof args[1] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type boolean or object.`);
+                    }
+                    if (typeof args[1] === 'object') {
+                        if (
+                            typeof args[1].alpha !== 'undefined'
+                            && typeof args[1].alpha !== 'boolean'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.alpha property passed to ${method}() must be of type boolean.`);
+                        }
+                        this.#validateRegionAndMask(method, args[1]);
+                        this.#validateGrainOptions(method, args[1]);
+                        if (method.endsWith('Async')) {
+                            for (const property of ['mask', 'curve', 'size', 'interpolation']) {
+                                if (typeof args[1][property] !== 'undefined') {
+                                    throw new Error(`[p5.grain] The optional config.${property} property is not supported by ${method}().`);
+                                }
+                            }
+                            if (
+                                typeof args[1].chunkSize !== 'undefined'
+                                && typeof args[1].chunkSize !== 'number'
+                            ) {
+                                throw new Error(`[p5.grain] The optional config.chunkSize property passed to ${method}() must be of type number.`);
+                            }
+                            if (
+                                typeof args[1].progress !== 'undefined'
+                                && typeof args[1].progress !== 'function'
+                            ) {
+                                throw new Error(`[p5.grain] The optional config.progress property passed to ${method}() must be of type function.`);
+                            }
+                        }
+                    }
+                    if (
+                        typeof args[2] !== 'undefined'
+                        && ! (args[2] instanceof p5.Graphics)
+                    ) {
+                        throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
+                    }
+                    break;
+                case 'granulateChroma':
+                    if (typeof args[0] !== 'number') {
+                        throw new Error(`[p5.grain] The amount argument passed to ${method}() must be of type number.`);
+                    }
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && typeof args[1] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type object.`);
+                    }
+                    if (typeof args[1] === 'object') {
+                        if (
+                            typeof args[1].chroma !== 'undefined'
+                            && typeof args[1].chroma !== 'number'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.chroma property passed to ${method}() must be of type number.`);
+                        }
+                        if (
+                            typeof args[1].space !== 'undefined'
+                            && !Object.keys(P5Grain.#colorSpaces).includes(args[1].space)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.space property passed to ${method}() must be one of: ${Object.keys(P5Grain.#colorSpaces).join(', ')}.`);
+                        }
+                        if (
+                            typeof args[1].weights !== 'undefined'
+                            && (
+                                !Array.isArray(args[1].weights)
+                                || args[1].weights.length !== 3
+                                || args[1].weights.some(weight => typeof weight !== 'number')
+                            )
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.weights property passed to ${method}() must be an array of three numbers.`);
+                        }
+                        this.#validateRegionAndMask(method, args[1]);
+                        this.#validateGrainOptions(method, args[1]);
+                    }
+                    if (
+                        typeof args[2] !== 'undefined'
+                        && ! (args[2] instanceof p5.Graphics)
+                    ) {
+                        throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
+                    }
+                    break;
+                case 'granulateFilm':
+                    if (typeof args[0] !== 'number') {
+                        throw new Error(`[p5.grain] The amount argument passed to ${method}() must be of type number.`);
+                    }
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && typeof args[1] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type object.`);
+                    }
+                    if (typeof args[1] === 'object') {
+                        if (
+                            typeof args[1].stock !== 'undefined'
+                            && !Object.keys(P5Grain.#filmStocks).includes(args[1].stock)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.stock property passed to ${method}() must be one of: ${Object.keys(P5Grain.#filmStocks).join(', ')}.`);
+                        }
+                        if (
+                            typeof args[1].chroma !== 'undefined'
+                            && typeof args[1].chroma !== 'number'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.chroma property passed to ${method}() must be of type number.`);
+                        }
+                        this.#validateRegionAndMask(method, args[1]);
+                        this.#validateGrainOptions(method, args[1]);
+                    }
+                    if (
+                        typeof args[2] !== 'undefined'
+                        && ! (args[2] instanceof p5.Graphics)
+                    ) {
+                        throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
+                    }
+                    break;
+                case 'granulateShader':
                     if (typeof args[0] !== 'number') {
                         throw new Error(`[p5.grain] The amount argument passed to ${method}() must be of type number.`);
                     }
                     if (
                         typeof args[1] !== 'undefined'
-                        && typeof args[1] !== 'boolean'
+                        && typeof args[1] !== 'object'
                     ) {
-                        throw new Error(`[p5.grain] The optional alpha argument passed to ${method}() must be of type boolean.`);
+                        throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type object.`);
+                    }
+                    if (typeof args[1] === 'object') {
+                        if (
+                            typeof args[1].channels !== 'undefined'
+                            && typeof args[1].channels !== 'boolean'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.channels property passed to ${method}() must be of type boolean.`);
+                        }
+                        if (
+                            typeof args[1].alpha !== 'undefined'
+                            && typeof args[1].alpha !== 'boolean'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.alpha property passed to ${method}() must be of type boolean.`);
+                        }
                     }
                     if (
                         typeof args[2] !== 'undefined'
@@ -561,6 +4743,174 @@ class P5Grain {
                         throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
                     }
                     break;
+                case 'pipeline':
+                    if (!Array.isArray(args[0])) {
+                        throw new Error(`[p5.grain] The steps argument passed to p5grain.${method}() must be an array.`);
+                    }
+                    args[0].forEach((step, index) => {
+                        if (typeof step === 'function') {
+                            return;
+                        }
+                        if (
+                            typeof step !== 'object'
+                            || step === null
+                            || !P5Grain.#pipelineMethods.includes(step.method)
+                        ) {
+                            throw new Error(`[p5.grain] The step ${index} passed to p5grain.${method}() must be a function or an object whose method property is one of: granulateSimple, granulateChannels, granulateFilm, granulateChroma.`);
+                        }
+                        if (
+                            step.config
+                            && typeof step.config === 'object'
+                            && typeof step.config.region !== 'undefined'
+                        ) {
+                            throw new Error(`[p5.grain] The config of step ${index} passed to p5grain.${method}() can't specify a region. Use config.region of the pipeline instead.`);
+                        }
+                        this.#validateArguments(step.method, [step.amount, step.config]);
+                    });
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && typeof args[1] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to p5grain.${method}() must be of type object.`);
+                    }
+                    if (typeof args[1] === 'object') {
+                        this.#validateRegionAndMask(method, { region: args[1].region });
+                    }
+                    break;
+                case 'auto':
+                    if (typeof args[0] === 'boolean') {
+                        if (!this.#auto) {
+                            throw new Error(`[p5.grain] p5grain.${method}() must be called with a config object before the automatic stack can be enabled or disabled.`);
+                        }
+                        break;
+                    }
+                    if (
+                        typeof args[0] !== 'object'
+                        || args[0] === null
+                        || !Array.isArray(args[0].stack)
+                    ) {
+                        throw new Error(`[p5.grain] The config argument passed to p5grain.${method}() must be of type boolean or an object with the array property stack.`);
+                    }
+                    args[0].stack.forEach((item, index) => {
+                        if (
+                            typeof item === 'function'
+                            || (item && P5Grain.#pipelineMethods.includes(item.method))
+                        ) {
+                            return;
+                        }
+                        if (item && item.method === 'granulateShader') {
+                            this.#validateArguments(item.method, [item.amount, item.config]);
+                        } else if (item && item.method === 'textureOverlay') {
+                            this.#validateArguments(item.method, [item.textureImage, item.config]);
+                        } else if (item && ['vignette', 'dustAndScratches', 'lightLeak', 'halation', 'dither'].includes(item.method)) {
+                            this.#validateArguments(item.method, [item.config]);
+                        } else {
+                            throw new Error(`[p5.grain] The step ${index} of config.stack passed to p5grain.${method}() must be a function or an object whose method property is one of: ${P5Grain.#pipelineMethods.join(', ')}, granulateShader, textureOverlay, vignette, dustAndScratches, lightLeak, halation, dither.`);
+                        }
+                    });
+                    if (
+                        typeof args[0].enabled !== 'undefined'
+                        && typeof args[0].enabled !== 'boolean'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config.enabled property passed to p5grain.${method}() must be of type boolean.`);
+                    }
+                    break;
+                case 'applyPipeline':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && ! (args[0] instanceof p5.Graphics)
+                    ) {
+                        throw new Error(`[p5.grain] The offscreen graphics buffer passed to the function returned by p5grain.pipeline() must be an instance of p5.Graphics.`);
+                    }
+                    break;
+                case 'vignette':
+                case 'dustAndScratches':
+                case 'lightLeak':
+                case 'halation':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && typeof args[0] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type object.`);
+                    }
+                    if (typeof args[0] === 'object') {
+                        this.#validateArtifactOptions(method, args[0]);
+                    }
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && ! (args[1] instanceof p5.Graphics)
+                    ) {
+                        throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
+                    }
+                    break;
+                case 'dither':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && typeof args[0] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type object.`);
+                    }
+                    if (typeof args[0] === 'object') {
+                        const methods = ['bayer', 'blue-noise', ...Object.keys(P5Grain.#ditherKernels)];
+                        if (
+                            typeof args[0].method !== 'undefined'
+                            && !methods.includes(args[0].method)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.method property passed to ${method}() must be one of: ${methods.join(', ')}.`);
+                        }
+                        if (
+                            typeof args[0].matrixSize !== 'undefined'
+                            && ![2, 4, 8].includes(args[0].matrixSize)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.matrixSize property passed to ${method}() must be one of: 2, 4, 8.`);
+                        }
+                        if (
+                            typeof args[0].levels !== 'undefined'
+                            && (typeof args[0].levels !== 'number' || args[0].levels < 2 || args[0].levels > 256)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.levels property passed to ${method}() must be a number between 2 and 256.`);
+                        }
+                        if (
+                            typeof args[0].palette !== 'undefined'
+                            && (
+                                !Array.isArray(args[0].palette)
+                                || args[0].palette.length === 0
+                                || !args[0].palette.every(color => color instanceof p5.Color || (
+                                    Array.isArray(color)
+                                    && color.length >= 3
+                                    && color.every(value => typeof value === 'number')
+                                ))
+                            )
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.palette property passed to ${method}() must be a non-empty array of p5.Color instances or arrays of three numbers.`);
+                        }
+                        if (
+                            typeof args[0].spread !== 'undefined'
+                            && (typeof args[0].spread !== 'number' || args[0].spread < 0)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.spread property passed to ${method}() must be a number greater than or equal to 0.`);
+                        }
+                        if (
+                            typeof args[0].serpentine !== 'undefined'
+                            && typeof args[0].serpentine !== 'boolean'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.serpentine property passed to ${method}() must be of type boolean.`);
+                        }
+                        if (
+                            typeof args[0].size !== 'undefined'
+                            && (typeof args[0].size !== 'number' || args[0].size < 1)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.size property passed to ${method}() must be a number greater than or equal to 1.`);
+                        }
+                        this.#validateRegionAndMask(method, { region: args[0].region });
+                    }
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && ! (args[1] instanceof p5.Graphics)
+                    ) {
+                        throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
+                    }
+                    break;
                 case 'textureAnimate':
                     if (
                         ! ( 
@@ -578,23 +4928,129 @@ class P5Grain {
                         throw new Error(`[p5.grain] The optional config argument passed to ${method}() must be of type object.`);
                     }
                     if (typeof args[1] === 'object') {
+                        this.#validateAnimateOptions(method, args[1], 'config');
+                        if (
+                            typeof args[1].method !== 'undefined'
+                            && args[1].method !== 'offset'
+                            && args[1].method !== 'seed'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.method property passed to ${method}() must be either 'offset' or 'seed'.`);
+                        }
+                        if (
+                            typeof args[1].opacity !== 'undefined'
+                            && (
+                                typeof args[1].opacity !== 'number'
+                                || args[1].opacity < 0
+                                || args[1].opacity > 1
+                            )
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.opacity property passed to ${method}() must be a number between 0 and 1.`);
+                        }
+                    }
+                    break;
+                case 'createTextureElement':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && typeof args[0] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to p5grain.${method}() must be of type object.`);
+                    }
+                    if (typeof args[0] === 'object') {
+                        if (
+                            typeof args[0].image !== 'undefined'
+                            && typeof args[0].image !== 'string'
+                            && ! (args[0].image instanceof p5.Image || args[0].image instanceof p5.Graphics)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.image property passed to p5grain.${method}() must be of type string or an instance of p5.Image or p5.Graphics.`);
+                        }
+                        if (
+                            typeof args[0].svg !== 'undefined'
+                            && typeof args[0].svg !== 'object'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.svg property passed to p5grain.${method}() must be of type object.`);
+                        }
+                        if (typeof args[0].svg === 'object') {
+                            this.#validateArguments('createSVGTexture', [args[0].svg]);
+                        }
+                        if (
+                            typeof args[0].mode !== 'undefined'
+                            && typeof args[0].mode !== 'string'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.mode property passed to p5grain.${method}() must be of type string.`);
+                        }
+                        for (const property of ['width', 'height']) {
+                            if (
+                                typeof args[0][property] !== 'undefined'
+                                && typeof args[0][property] !== 'number'
+                            ) {
+                                throw new Error(`[p5.grain] The optional config.${property} property passed to p5grain.${method}() must be of type number.`);
+                            }
+                        }
+                    }
+                    if (!(this.instanceMode ? this.instanceRef : p5.instance)) {
+                        throw new Error(`[p5.grain] p5grain.${method}() must be called after the canvas has been created.`);
+                    }
+                    break;
+                case 'saveWithTexture':
+                    if (typeof args[0] !== 'string') {
+                        throw new Error(`[p5.grain] The filename argument passed to p5grain.${method}() must be of type string.`);
+                    }
+                    if (
+                        ! ( 
+                            args[1] instanceof HTMLElement
+                            || args[1] instanceof SVGElement
+                            || args[1] instanceof p5.Element
+                        )
+                    ) {
+                        throw new Error(`[p5.grain] The textureElement argument passed to p5grain.${method}() must be an instance of HTMLElement, SVGElement or p5.Element.`);
+                    }
+                    break;
+                case 'createSVGTexture':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && typeof args[0] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to p5grain.${method}() must be of type object.`);
+                    }
+                    if (typeof args[0] === 'object') {
+                        if (
+                            typeof args[0].type !== 'undefined'
+                            && !P5Grain.#turbulenceTypes.includes(args[0].type)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.type property passed to p5grain.${method}() must be one of: ${P5Grain.#turbulenceTypes.join(', ')}.`);
+                        }
+                        if (
+                            typeof args[0].baseFrequency !== 'undefined'
+                            && typeof args[0].baseFrequency !== 'number'
+                            && typeof args[0].baseFrequency !== 'string'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.baseFrequency property passed to p5grain.${method}() must be of type number or string.`);
+                        }
+                        for (const property of ['numOctaves', 'seed', 'size']) {
+                            if (
+                                typeof args[0][property] !== 'undefined'
+                                && typeof args[0][property] !== 'number'
+                            ) {
+                                throw new Error(`[p5.grain] The optional config.${property} property passed to p5grain.${method}() must be of type number.`);
+                            }
+                        }
                         if (
-                            typeof args[1].atFrame !== 'undefined'
-                            && typeof args[1].atFrame !== 'number'
+                            typeof args[0].urlEncoded !== 'undefined'
+                            && typeof args[0].urlEncoded !== 'boolean'
                         ) {
-                            throw new Error(`[p5.grain] The optional config.atFrame property passed to ${method}() must be of type number.`);
+                            throw new Error(`[p5.grain] The optional config.urlEncoded property passed to p5grain.${method}() must be of type boolean.`);
                         }
                         if (
-                            typeof args[1].amount !== 'undefined'
-                            && typeof args[1].amount !== 'number'
+                            typeof args[0].parent !== 'undefined'
+                            && !(args[0].parent instanceof HTMLElement)
                         ) {
-                            throw new Error(`[p5.grain] The optional config.amount argument passed to ${method}() must be of type number.`);
+                            throw new Error(`[p5.grain] The optional config.parent property passed to p5grain.${method}() must be an instance of HTMLElement.`);
                         }
                     }
                     break;
                 case 'textureOverlay':
-                    if (!(args[0] instanceof p5.Image)) {
-                        throw new Error(`[p5.grain] The texture argument passed to ${method}() must be an instance of p5.Image.`);
+                    if (!(args[0] instanceof p5.Image || args[0] instanceof p5.Graphics)) {
+                        throw new Error(`[p5.grain] The texture argument passed to ${method}() must be an instance of p5.Image or p5.Graphics.`);
                     }
                     if (
                         typeof args[1] !== 'undefined'
@@ -627,6 +5083,47 @@ class P5Grain {
                         ) {
                             throw new Error(`[p5.grain] The optional config.reflect property passed to ${method}() must be of type boolean.`);
                         }
+                        if (
+                            typeof args[1].cache !== 'undefined'
+                            && typeof args[1].cache !== 'boolean'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.cache property passed to ${method}() must be of type boolean.`);
+                        }
+                        if (
+                            typeof args[1].engine !== 'undefined'
+                            && args[1].engine !== 'canvas'
+                            && args[1].engine !== 'pixels'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.engine property passed to ${method}() must be either 'canvas' or 'pixels'.`);
+                        }
+                        if (
+                            args[1].engine === 'pixels'
+                            && typeof args[1].mode !== 'undefined'
+                            && !Object.keys(P5Grain.#pixelBlendModes).includes(args[1].mode)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.mode property passed to ${method}() is not supported by the 'pixels' engine.`);
+                        }
+                        if (
+                            typeof args[1].opacity !== 'undefined'
+                            && (
+                                typeof args[1].opacity !== 'number'
+                                || args[1].opacity < 0
+                                || args[1].opacity > 1
+                            )
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.opacity property passed to ${method}() must be a number between 0 and 1.`);
+                        }
+                        if (
+                            typeof args[1].animate !== 'undefined'
+                            && typeof args[1].animate !== 'boolean'
+                            && typeof args[1].animate !== 'object'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.animate property passed to ${method}() must be of type boolean or object.`);
+                        }
+                        if (args[1].animate && typeof args[1].animate === 'object') {
+                            this.#validateAnimateOptions(method, args[1].animate, 'config.animate');
+                        }
+                        this.#validateRegionAndMask(method, args[1]);
                     }
                     if (
                         typeof args[2] !== 'undefined'
@@ -635,9 +5132,280 @@ class P5Grain {
                         throw new Error(`[p5.grain] The offscreen graphics buffer for ${method}() must be an instance of p5.Graphics.`);
                     }
                     break;
+                case 'createTexture':
+                    if (
+                        typeof args[0] !== 'undefined'
+                        && typeof args[0] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to p5grain.${method}() must be of type object.`);
+                    }
+                    if (typeof args[0] === 'object') {
+                        if (
+                            typeof args[0].type !== 'undefined'
+                            && !P5Grain.#textureTypes.includes(args[0].type)
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.type property passed to p5grain.${method}() must be one of: ${P5Grain.#textureTypes.join(', ')}.`);
+                        }
+                        for (const property of ['width', 'height', 'frequency', 'octaves', 'contrast', 'seed']) {
+                            if (
+                                typeof args[0][property] !== 'undefined'
+                                && typeof args[0][property] !== 'number'
+                            ) {
+                                throw new Error(`[p5.grain] The optional config.${property} property passed to p5grain.${method}() must be of type number.`);
+                            }
+                        }
+                        if (
+                            typeof args[0].graphics !== 'undefined'
+                            && typeof args[0].graphics !== 'boolean'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.graphics property passed to p5grain.${method}() must be of type boolean.`);
+                        }
+                    }
+                    break;
+                case 'makeSeamless':
+                    if (!(args[0] instanceof p5.Image || args[0] instanceof p5.Graphics)) {
+                        throw new Error(`[p5.grain] The textureImage argument passed to p5grain.${method}() must be an instance of p5.Image or p5.Graphics.`);
+                    }
+                    if (
+                        typeof args[1] !== 'undefined'
+                        && typeof args[1] !== 'object'
+                    ) {
+                        throw new Error(`[p5.grain] The optional config argument passed to p5grain.${method}() must be of type object.`);
+                    }
+                    if (typeof args[1] === 'object') {
+                        if (
+                            typeof args[1].method !== 'undefined'
+                            && args[1].method !== 'crossfade'
+                            && args[1].method !== 'offset'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.method property passed to p5grain.${method}() must be either 'crossfade' or 'offset'.`);
+                        }
+                        if (
+                            typeof args[1].border !== 'undefined'
+                            && typeof args[1].border !== 'number'
+                        ) {
+                            throw new Error(`[p5.grain] The optional config.border property passed to p5grain.${method}() must be of type number.`);
+                        }
+                    }
+                    break;
                 default: break;
             }
         }
     }
+
+    /**
+     * Checks the validity of the optional properties of the given config 
+     * object of the analog artifact methods (vignette, dustAndScratches, 
+     * lightLeak and halation).
+     * 
+     * @private
+     * @method validateArtifactOptions
+     * 
+     * @param {String} method Name of the method
+     * @param {Object} config User given config object
+     */
+    #validateArtifactOptions(method, config) {
+        // valid ranges of the number properties per method
+        const ranges = {
+            vignette: { amount: [0, 1], radius: [0, Infinity], softness: [0, Infinity] },
+            dustAndScratches: { dust: [0, Infinity], scratches: [0, Infinity], size: [0, Infinity], opacity: [0, 1], frame: [-Infinity, Infinity], seed: [-Infinity, Infinity] },
+            lightLeak: { count: [0, Infinity], intensity: [0, 1], size: [0, Infinity], seed: [-Infinity, Infinity] },
+            halation: { threshold: [0, 1], radius: [0, Infinity], intensity: [0, 1] },
+        }[method];
+        for (const property in ranges) {
+            const [min, max] = ranges[property];
+            if (
+                typeof config[property] !== 'undefined'
+                && (
+                    typeof config[property] !== 'number'
+                    || !(config[property] >= min && config[property] <= max)
+                )
+            ) {
+                const range = max === Infinity
+                    ? min === -Infinity ? 'a finite number' : `a number greater than or equal to ${min}`
+                    : `a number between ${min} and ${max}`;
+                throw new Error(`[p5.grain] The optional config.${property} property passed to ${method}() must be ${range}.`);
+            }
+        }
+        const isColor = (color) => Array.isArray(color)
+            && color.length === 3
+            && color.every(value => typeof value === 'number');
+        if (typeof config.color !== 'undefined' && !isColor(config.color)) {
+            throw new Error(`[p5.grain] The optional config.color property passed to ${method}() must be an array of three numbers.`);
+        }
+        if (
+            typeof config.colors !== 'undefined'
+            && (
+                !Array.isArray(config.colors)
+                || config.colors.length === 0
+                || !config.colors.every(isColor)
+            )
+        ) {
+            throw new Error(`[p5.grain] The optional config.colors property passed to ${method}() must be a non-empty array of arrays of three numbers.`);
+        }
+        if (
+            typeof config.center !== 'undefined'
+            && (
+                typeof config.center !== 'object'
+                || typeof config.center.x !== 'number'
+                || typeof config.center.y !== 'number'
+            )
+        ) {
+            throw new Error(`[p5.grain] The optional config.center property passed to ${method}() must be an object with the number properties x and y.`);
+        }
+    }
+
+    /**
+     * Checks the validity of the optional motion, atFrame, amount, interval, 
+     * frame, seed, velocity, smoothing, anchor, rotation and scale 
+     * properties of the given animation config object.
+     * 
+     * @private
+     * @method validateAnimateOptions
+     * 
+     * @param {String} method Name of the method
+     * @param {Object} config User given animation config object
+     * @param {String} path Path of the animation config object
+     */
+    #validateAnimateOptions(method, config, path) {
+        if (
+            typeof config.motion !== 'undefined'
+            && !P5Grain.#motions.includes(config.motion)
+        ) {
+            throw new Error(`[p5.grain] The optional ${path}.motion property passed to ${method}() must be one of: ${P5Grain.#motions.join(', ')}.`);
+        }
+        [
+            'atFrame', 'amount', 'interval', 'frame', 'seed',
+            'smoothing', 'rotation', 'scale',
+        ].forEach(prop => {
+            if (
+                typeof config[prop] !== 'undefined'
+                && typeof config[prop] !== 'number'
+            ) {
+                throw new Error(`[p5.grain] The optional ${path}.${prop} property passed to ${method}() must be of type number.`);
+            }
+        });
+        if (
+            typeof config.interval !== 'undefined'
+            && config.interval <= 0
+        ) {
+            throw new Error(`[p5.grain] The optional ${path}.interval property passed to ${method}() must be greater than 0.`);
+        }
+        if (
+            typeof config.velocity !== 'undefined'
+            && typeof config.velocity !== 'number'
+            && (
+                typeof config.velocity !== 'object'
+                || typeof config.velocity.x !== 'number'
+                || typeof config.velocity.y !== 'number'
+            )
+        ) {
+            throw new Error(`[p5.grain] The optional ${path}.velocity property passed to ${method}() must be of type number or an object with the number properties x and y.`);
+        }
+        if (
+            typeof config.anchor !== 'undefined'
+            && (
+                typeof config.anchor !== 'object'
+                || typeof config.anchor.x !== 'number'
+                || typeof config.anchor.y !== 'number'
+            )
+        ) {
+            throw new Error(`[p5.grain] The optional ${path}.anchor property passed to ${method}() must be an object with the number properties x and y.`);
+        }
+        if (
+            typeof config.scale !== 'undefined'
+            && (config.scale < 0 || config.scale >= 1)
+        ) {
+            throw new Error(`[p5.grain] The optional ${path}.scale property passed to ${method}() must be between 0 (inclusive) and 1 (exclusive).`);
+        }
+    }
+
+    /**
+     * Checks the validity of the optional region, mask and maskMode 
+     * properties of the given config object.
+     * 
+     * @private
+     * @method validateRegionAndMask
+     * 
+     * @param {String} method Name of the method
+     * @param {Object} config User given config object
+     */
+    #validateRegionAndMask(method, config) {
+        if (typeof config.region !== 'undefined') {
+            if (
+                typeof config.region !== 'object'
+                || typeof config.region.x !== 'number'
+                || typeof config.region.y !== 'number'
+                || typeof config.region.width !== 'number'
+                || typeof config.region.height !== 'number'
+            ) {
+                throw new Error(`[p5.grain] The optional config.region property passed to ${method}() must be an object with the number properties x, y, width and height.`);
+            }
+        }
+        if (
+            typeof config.mask !== 'undefined'
+            && ! (config.mask instanceof p5.Image || config.mask instanceof p5.Graphics)
+        ) {
+            throw new Error(`[p5.grain] The optional config.mask property passed to ${method}() must be an instance of p5.Image or p5.Graphics.`);
+        }
+        if (
+            typeof config.maskMode !== 'undefined'
+            && config.maskMode !== 'luminance'
+            && config.maskMode !== 'alpha'
+        ) {
+            throw new Error(`[p5.grain] The optional config.maskMode property passed to ${method}() must be either 'luminance' or 'alpha'.`);
+        }
+    }
+
+    /**
+     * Checks the validity of the optional distribution, curve, size, 
+     * interpolation and densityIndependent properties of the given config 
+     * object.
+     * 
+     * @private
+     * @method validateGrainOptions
+     * 
+     * @param {String} method Name of the method
+     * @param {Object} config User given config object
+     */
+    #validateGrainOptions(method, config) {
+        if (
+            typeof config.stream !== 'undefined'
+            && typeof config.stream !== 'string'
+        ) {
+            throw new Error(`[p5.grain] The optional config.stream property passed to ${method}() must be of type string.`);
+        }
+        if (
+            typeof config.distribution !== 'undefined'
+            && !P5Grain.#distributions.includes(config.distribution)
+        ) {
+            throw new Error(`[p5.grain] The optional config.distribution property passed to ${method}() must be one of: ${P5Grain.#distributions.join(', ')}.`);
+        }
+        if (
+            typeof config.size !== 'undefined'
+            && (typeof config.size !== 'number' || config.size < 1)
+        ) {
+            throw new Error(`[p5.grain] The optional config.size property passed to ${method}() must be a number greater than or equal to 1.`);
+        }
+        if (
+            typeof config.interpolation !== 'undefined'
+            && !P5Grain.#interpolations.includes(config.interpolation)
+        ) {
+            throw new Error(`[p5.grain] The optional config.interpolation property passed to ${method}() must be one of: ${P5Grain.#interpolations.join(', ')}.`);
+        }
+        if (
+            typeof config.densityIndependent !== 'undefined'
+            && typeof config.densityIndependent !== 'boolean'
+        ) {
+            throw new Error(`[p5.grain] The optional config.densityIndependent property passed to ${method}() must be of type boolean.`);
+        }
+        if (
+            typeof config.curve !== 'undefined'
+            && typeof config.curve !== 'function'
+            && !Object.keys(P5Grain.#curves).includes(config.curve)
+        ) {
+            throw new Error(`[p5.grain] The optional config.curve property passed to ${method}() must be a function or one of: ${Object.keys(P5Grain.#curves).join(', ')}.`);
+        }
+    }
     /** @end */
 }